@@ -0,0 +1,60 @@
+'use strict';
+const Web3 = require('web3');
+const { InvalidArgumentError } = require('./rsk-transaction-helper-error');
+
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Returns the EIP-1191 checksummed version of `address`. EIP-1191 adds the chain id to the hashed
+ * value, so the same address has a different checksum on each Rootstock network.
+ * If `chainId` is not provided, the EIP-55 checksum is returned.
+ * @param {string} address A `0x` prefixed address, in any case
+ * @param {number | string} chainId The chain id, i.e. 30 for Rootstock mainnet and 31 for testnet
+ * @returns {string} The checksummed address
+ */
+const toChecksumAddress = (address, chainId) => {
+    if(!ADDRESS_REGEX.test(address)) {
+        throw new InvalidArgumentError(`Invalid address provided: ${address}`);
+    }
+    const lowerCaseAddress = address.substring(2).toLowerCase();
+    const prefix = chainId !== undefined && chainId !== null ? `${Number(chainId)}0x` : '';
+    const hash = Web3.utils.sha3(prefix + lowerCaseAddress).substring(2);
+    let checksumAddress = '0x';
+    for(let i = 0; i < lowerCaseAddress.length; i++) {
+        checksumAddress += parseInt(hash[i], 16) >= 8 ? lowerCaseAddress[i].toUpperCase() : lowerCaseAddress[i];
+    }
+    return checksumAddress;
+};
+
+/**
+ * Checks that `address` is well formed and, if it's in mixed case, that its checksum is valid for `chainId`.
+ * All lower case and all upper case addresses carry no checksum and are considered valid.
+ * @param {string} address
+ * @param {number | string} chainId The chain id the checksum is validated against. EIP-55 is used if not provided.
+ * @returns {boolean} true if the address is valid, false otherwise
+ */
+const isValidAddress = (address, chainId) => {
+    if(typeof address !== 'string' || !ADDRESS_REGEX.test(address)) {
+        return false;
+    }
+    const hexAddress = address.substring(2);
+    if(hexAddress === hexAddress.toLowerCase() || hexAddress === hexAddress.toUpperCase()) {
+        return true;
+    }
+    return toChecksumAddress(address, chainId) === address;
+};
+
+/**
+ * Lower cases `address` to hand it to `web3`, as a contract address, an ABI encoded value or a logs filter.
+ * `web3` only accepts EIP-55 checksums, which are not valid on EIP-1191 chains like Rootstock, and returns addresses
+ * EIP-55 checksummed. Lower case addresses carry no checksum, so they are valid on every chain.
+ * @param {string} address
+ * @returns {string} The lower case address. Anything else, i.e. the empty `to` of a contract creation, is returned as it is.
+ */
+const toWeb3Address = (address) => typeof address === 'string' ? address.toLowerCase() : address;
+
+module.exports = {
+    toChecksumAddress,
+    isValidAddress,
+    toWeb3Address,
+};
@@ -0,0 +1,267 @@
+'use strict';
+const { decodeLogs } = require('./log-decoder');
+const { toWeb3Address } = require('./address-utils');
+
+const BRIDGE_ADDRESS = '0x0000000000000000000000000000000001000006';
+
+const BRIDGE_ABI = [
+    {
+        name: 'getFederationAddress',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'string' }],
+    },
+    {
+        name: 'getFederationSize',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'int256' }],
+    },
+    {
+        name: 'getFederationThreshold',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'int256' }],
+    },
+    {
+        name: 'getBtcBlockchainBestChainHeight',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'int256' }],
+    },
+    {
+        name: 'getMinimumLockTxValue',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'int256' }],
+    },
+    {
+        name: 'getStateForBtcReleaseClient',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'bytes' }],
+    },
+    {
+        name: 'isBtcTxHashAlreadyProcessed',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [{ name: 'hash', type: 'string' }],
+        outputs: [{ name: '', type: 'bool' }],
+    },
+    {
+        name: 'getLockingCap',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'int256' }],
+    },
+    {
+        name: 'release_request_received',
+        type: 'event',
+        anonymous: false,
+        inputs: [
+            { indexed: true, name: 'sender', type: 'address' },
+            { indexed: false, name: 'btcDestinationAddress', type: 'string' },
+            { indexed: false, name: 'amount', type: 'uint256' },
+        ],
+    },
+    {
+        name: 'release_request_rejected',
+        type: 'event',
+        anonymous: false,
+        inputs: [
+            { indexed: true, name: 'sender', type: 'address' },
+            { indexed: false, name: 'amount', type: 'uint256' },
+            { indexed: false, name: 'reason', type: 'int256' },
+        ],
+    },
+    {
+        name: 'release_requested',
+        type: 'event',
+        anonymous: false,
+        inputs: [
+            { indexed: true, name: 'rskTxHash', type: 'bytes32' },
+            { indexed: true, name: 'btcTxHash', type: 'bytes32' },
+            { indexed: false, name: 'amount', type: 'uint256' },
+        ],
+    },
+    {
+        name: 'batch_pegout_created',
+        type: 'event',
+        anonymous: false,
+        inputs: [
+            { indexed: true, name: 'btcTxHash', type: 'bytes32' },
+            { indexed: false, name: 'releaseRskTxHashes', type: 'bytes' },
+        ],
+    },
+];
+
+/**
+ * Client for the Rootstock Bridge precompiled contract. Values are returned already decoded:
+ * counts and heights as numbers and amounts, in satoshis, as `BN`.
+ */
+class Bridge {
+
+    /**
+     * @param {RskTransactionHelper} rskTransactionHelper
+     */
+    constructor(rskTransactionHelper) {
+        this.rskTransactionHelper = rskTransactionHelper;
+        this.address = toWeb3Address(rskTransactionHelper.rskConfig.bridgeAddress || BRIDGE_ADDRESS);
+    }
+
+    /**
+     * @returns {Contract} A `web3.eth.Contract` for the Bridge, bound to the helper's current client
+     */
+    getContract() {
+        const web3Client = this.rskTransactionHelper.getClient();
+        return new web3Client.eth.Contract(BRIDGE_ABI, this.address);
+    }
+
+    async call(methodName, ...args) {
+        return await this.rskTransactionHelper.withRetryOnConnectionError(async () => await this.getContract().methods[methodName](...args).call());
+    }
+
+    /**
+     * @returns {Promise<string>} The active federation BTC address
+     */
+    async getFederationAddress() {
+        return await this.call('getFederationAddress');
+    }
+
+    /**
+     * @returns {Promise<number>} The amount of members in the active federation
+     */
+    async getFederationSize() {
+        return Number(await this.call('getFederationSize'));
+    }
+
+    /**
+     * @returns {Promise<number>} The minimum amount of signatures required by the active federation
+     */
+    async getFederationThreshold() {
+        return Number(await this.call('getFederationThreshold'));
+    }
+
+    /**
+     * @returns {Promise<number>} The height of the best BTC block known by the Bridge
+     */
+    async getBtcBlockchainBestChainHeight() {
+        return Number(await this.call('getBtcBlockchainBestChainHeight'));
+    }
+
+    /**
+     * @returns {Promise<BN>} The minimum peg-in value, in satoshis
+     */
+    async getMinimumLockTxValue() {
+        return this.rskTransactionHelper.getClient().utils.toBN(await this.call('getMinimumLockTxValue'));
+    }
+
+    /**
+     * @returns {Promise<string>} The serialized state used by the federators to sign peg-outs, as a hex string
+     */
+    async getStateForBtcReleaseClient() {
+        return await this.call('getStateForBtcReleaseClient');
+    }
+
+    /**
+     * @param {string} btcTxHash The BTC transaction hash, without the `0x` prefix
+     * @returns {Promise<boolean>} true if the Bridge already processed this BTC transaction, false otherwise
+     */
+    async isBtcTxHashAlreadyProcessed(btcTxHash) {
+        return await this.call('isBtcTxHashAlreadyProcessed', btcTxHash);
+    }
+
+    /**
+     * @returns {Promise<BN>} The maximum amount of BTC that can be locked in the Bridge, in satoshis
+     */
+    async getLockingCap() {
+        return this.rskTransactionHelper.getClient().utils.toBN(await this.call('getLockingCap'));
+    }
+
+    /**
+     * Decodes the Bridge events found in `logs`. Logs emitted by other contracts are ignored.
+     * @param {Log[]} logs The logs of a transaction receipt
+     * @returns {{ event: string, returnValues: Object, log: Log }[]} The decoded events, in the same order as `logs`
+     */
+    decodeLogs(logs) {
+        return decodeLogs(logs, BRIDGE_ABI, this.rskTransactionHelper.getClient().eth.abi, this.address);
+    }
+
+}
+
+/**
+ * Follows a peg-out from the RBTC transaction sent to the Bridge to the BTC release.
+ * The request is accepted or rejected in the peg-out transaction itself, while `release_requested` and
+ * `batch_pegout_created` are emitted later on, in the transactions the Bridge uses to process pending peg-outs.
+ */
+class PegoutTracker {
+
+    /**
+     * @param {RskTransactionHelper} rskTransactionHelper
+     * @param {SendTransactionResult} sendResult The result of sending the peg-out transaction
+     */
+    constructor(rskTransactionHelper, sendResult) {
+        this.rskTransactionHelper = rskTransactionHelper;
+        this.sendResult = sendResult;
+        this.txHash = sendResult.hash;
+    }
+
+    /**
+     * @returns {Promise<TransactionReceipt>} The peg-out transaction receipt, null if not mined yet
+     */
+    async getReceipt() {
+        return await this.rskTransactionHelper.getTxReceipt(this.txHash);
+    }
+
+    /**
+     * @param {WaitForReceiptOptions} waitOptions See `RskTransactionHelper.waitForReceipt`
+     * @returns {Promise<TransactionReceipt>} The peg-out transaction receipt
+     */
+    async waitForReceipt(waitOptions = {}) {
+        return await this.rskTransactionHelper.waitForReceipt(this.txHash, waitOptions);
+    }
+
+    /**
+     * Waits for the peg-out transaction to be mined and returns whether the Bridge accepted it.
+     * @param {WaitForReceiptOptions} waitOptions See `RskTransactionHelper.waitForReceipt`
+     * @returns {Promise<{ event: string, returnValues: Object, log: Log }>} The `release_request_received` event if
+     * the peg-out was accepted, `release_request_rejected` otherwise. null if none of them was emitted.
+     */
+    async getRequestEvent(waitOptions = {}) {
+        const receipt = await this.waitForReceipt(waitOptions);
+        const events = this.rskTransactionHelper.getBridge().decodeLogs(receipt.logs);
+        return events.find(event => event.event === 'release_request_received' || event.event === 'release_request_rejected') || null;
+    }
+
+    /**
+     * Looks for the `release_requested` and `batch_pegout_created` events of this peg-out in `receipt`.
+     * @param {TransactionReceipt} receipt The receipt of a transaction that may have processed this peg-out
+     * @returns {{ event: string, returnValues: Object, log: Log }[]} The events related to this peg-out
+     */
+    findReleaseEvents(receipt) {
+        const txHash = this.txHash.toLowerCase();
+        return this.rskTransactionHelper.getBridge().decodeLogs(receipt.logs).filter(event => {
+            if(event.event === 'release_requested') {
+                return event.returnValues.rskTxHash.toLowerCase() === txHash;
+            }
+            if(event.event === 'batch_pegout_created') {
+                const releaseRskTxHashes = event.returnValues.releaseRskTxHashes.substring(2).toLowerCase().match(/.{64}/g) || [];
+                return releaseRskTxHashes.includes(txHash.substring(2));
+            }
+            return false;
+        });
+    }
+
+}
+
+module.exports = Bridge;
+module.exports.PegoutTracker = PegoutTracker;
+module.exports.BRIDGE_ADDRESS = BRIDGE_ADDRESS;
+module.exports.BRIDGE_ABI = BRIDGE_ABI;
@@ -0,0 +1,120 @@
+'use strict';
+
+const DEFAULT_HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const withTimeout = (promise, timeoutMs) => {
+    let timeout;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timeout = setTimeout(() => reject(new Error(`Health check timed out after ${timeoutMs} ms`)), timeoutMs);
+        }),
+    ]).finally(() => clearTimeout(timeout));
+};
+
+/**
+ * Keeps one `Web3` client per endpoint, in the order they were configured, and knows which one is in use.
+ * The current endpoint only changes on `failover`, or after a health check finds a better one.
+ */
+class EndpointPool {
+
+    /**
+     * @param {string[]} hostUrls The endpoints, in order of preference
+     * @param {Function} createClient Creates the `Web3` client for a given endpoint url
+     * @param {{ preferHighestBlock?: boolean, healthCheckTimeoutMs?: number }} options When `preferHighestBlock` is set,
+     * health checks pick the healthy endpoint with the highest block instead of the first healthy one.
+     */
+    constructor(hostUrls, createClient, options = {}) {
+        this.preferHighestBlock = !!options.preferHighestBlock;
+        this.healthCheckTimeoutMs = options.healthCheckTimeoutMs || DEFAULT_HEALTH_CHECK_TIMEOUT_MS;
+        this.endpoints = hostUrls.map(hostUrl => ({
+            hostUrl,
+            client: createClient(hostUrl),
+            healthy: true,
+            blockNumber: null,
+        }));
+        this.currentIndex = 0;
+        this.healthCheckTimer = null;
+    }
+
+    get size() {
+        return this.endpoints.length;
+    }
+
+    /**
+     * @returns {{ hostUrl: string, client: Web3, healthy: boolean, blockNumber: number | null }} The endpoint in use
+     */
+    get current() {
+        return this.endpoints[this.currentIndex];
+    }
+
+    /**
+     * Marks the current endpoint as unhealthy and moves to the next one, preferring those not known to be unhealthy.
+     * Does nothing when there is a single endpoint.
+     * @returns {Object} The new current endpoint
+     */
+    failover() {
+        if(this.size === 1) {
+            return this.current;
+        }
+        this.current.healthy = false;
+        const candidates = [];
+        for(let offset = 1; offset < this.size; offset++) {
+            candidates.push((this.currentIndex + offset) % this.size);
+        }
+        const nextHealthyIndex = candidates.find(index => this.endpoints[index].healthy);
+        this.currentIndex = nextHealthyIndex !== undefined ? nextHealthyIndex : candidates[0];
+        return this.current;
+    }
+
+    /**
+     * Calls `eth_blockNumber` on every endpoint and switches to the best healthy one: the first one in order, or
+     * the one with the highest block if `preferHighestBlock` is set. Keeps the current endpoint if none is healthy.
+     * @returns {Promise<Array<{ hostUrl: string, healthy: boolean, blockNumber: number | null }>>} The status of every endpoint
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            try {
+                endpoint.blockNumber = Number(await withTimeout(endpoint.client.eth.getBlockNumber(), this.healthCheckTimeoutMs));
+                endpoint.healthy = true;
+            } catch (error) {
+                endpoint.healthy = false;
+            }
+        }));
+        let bestIndex = -1;
+        this.endpoints.forEach((endpoint, index) => {
+            if(!endpoint.healthy) {
+                return;
+            }
+            if(bestIndex === -1 || (this.preferHighestBlock && endpoint.blockNumber > this.endpoints[bestIndex].blockNumber)) {
+                bestIndex = index;
+            }
+        });
+        if(bestIndex !== -1) {
+            this.currentIndex = bestIndex;
+        }
+        return this.endpoints.map(({ hostUrl, healthy, blockNumber }) => ({ hostUrl, healthy, blockNumber }));
+    }
+
+    /**
+     * Runs `checkHealth` every `intervalMs`. The timer doesn't keep the process alive.
+     * @param {number} intervalMs
+     */
+    startHealthChecks(intervalMs) {
+        this.stopHealthChecks();
+        this.healthCheckTimer = setInterval(() => this.checkHealth(), intervalMs);
+        if(this.healthCheckTimer.unref) {
+            this.healthCheckTimer.unref();
+        }
+    }
+
+    stopHealthChecks() {
+        if(this.healthCheckTimer) {
+            clearInterval(this.healthCheckTimer);
+            this.healthCheckTimer = null;
+        }
+    }
+
+}
+
+module.exports = EndpointPool;
@@ -0,0 +1,150 @@
+'use strict';
+const { InvalidArgumentError } = require('./rsk-transaction-helper-error');
+
+const DEFAULT_WATCH_OPTIONS = {
+    confirmations: 12,
+    pollIntervalMs: 5000,
+};
+
+// How far back, in blocks, delivered events are remembered to notify their removal if they get reorged
+const MAX_REORG_DEPTH = 100;
+
+/**
+ * Follows the events matching a `getEvents` filter, delivering them once they are `confirmations` blocks deep.
+ * Every poll first checks that the last processed block is still in the chain. If it isn't, the events delivered
+ * from the orphaned blocks are delivered again with `removed: true`, and the new blocks are scanned.
+ *
+ * The checkpoint, the last processed block, can be persisted and passed back as `checkpoint` to resume after a restart.
+ * A watcher resumed from a checkpoint doesn't remember the events delivered before, so a checkpoint block reorged while
+ * stopped is rescanned from `confirmations` blocks back, without `removed` notifications.
+ */
+class EventWatcher {
+
+    /**
+     * @param {RskTransactionHelper} rskTransactionHelper
+     * @param {Object} filter The `getEvents` options: `address`, `abi`, `eventName`, `filter` and `chunkSize`
+     * @param {Function} handler Called with `(error, event)`. Events carry `removed`, true if they were orphaned by a reorg.
+     * @param {{ confirmations?: number, startBlock?: number | string, pollIntervalMs?: number, checkpoint?: { blockNumber: number, blockHash: string } }} options
+     * Without `startBlock` or `checkpoint`, only the events of blocks confirmed from now on are delivered.
+     */
+    constructor(rskTransactionHelper, filter, handler, options = {}) {
+        const { confirmations, startBlock, pollIntervalMs, checkpoint } = Object.assign({}, DEFAULT_WATCH_OPTIONS, options);
+        if(!(confirmations >= 1)) {
+            throw new InvalidArgumentError('Invalid `confirmations` provided. Needs to be greater than 0 if provided.');
+        }
+        if(typeof handler !== 'function') {
+            throw new InvalidArgumentError('Invalid handler provided. Expected a function.');
+        }
+        this.rskTransactionHelper = rskTransactionHelper;
+        this.filter = filter;
+        this.handler = handler;
+        this.confirmations = confirmations;
+        this.startBlock = startBlock;
+        this.pollIntervalMs = pollIntervalMs;
+        this.checkpoint = checkpoint ? { blockNumber: Number(checkpoint.blockNumber), blockHash: checkpoint.blockHash || null } : null;
+        // The blocks processed lately, oldest first, with the events delivered from each one of them
+        this.trackedBlocks = [];
+        this.subscription = null;
+    }
+
+    /**
+     * Starts polling every `pollIntervalMs`.
+     * @returns {EventWatcher} This same watcher
+     */
+    start() {
+        this.subscription = this.rskTransactionHelper.poll(isActive => this.poll(isActive), this.handler, this.pollIntervalMs);
+        return this;
+    }
+
+    async unsubscribe() {
+        if(this.subscription) {
+            await this.subscription.unsubscribe();
+        }
+    }
+
+    /**
+     * @returns {{ blockNumber: number, blockHash: string | null } | null} The last processed block, null before the first poll
+     */
+    getCheckpoint() {
+        return this.checkpoint ? Object.assign({}, this.checkpoint) : null;
+    }
+
+    async poll(isActive = () => true) {
+        const confirmedBlockNumber = await this.rskTransactionHelper.getBlockNumber() - this.confirmations + 1;
+        if(this.checkpoint === null) {
+            const fromBlock = this.startBlock !== undefined
+                ? await this.rskTransactionHelper.toBlockNumber(this.startBlock)
+                : confirmedBlockNumber + 1;
+            this.checkpoint = { blockNumber: fromBlock - 1, blockHash: null };
+        } else if(this.checkpoint.blockHash) {
+            await this.handleReorg(isActive);
+        }
+        if(confirmedBlockNumber <= this.checkpoint.blockNumber || !isActive()) {
+            return;
+        }
+
+        // Taking the hash before the logs, so a reorg in between is found on the next poll
+        const toBlock = await this.rskTransactionHelper.getBlock(confirmedBlockNumber);
+        const events = await this.rskTransactionHelper.getEvents(Object.assign({}, this.filter, {
+            fromBlock: this.checkpoint.blockNumber + 1,
+            toBlock: confirmedBlockNumber,
+        }));
+        if(!isActive()) {
+            return;
+        }
+        events.forEach(event => {
+            this.trackBlock(event.log.blockNumber, event.log.blockHash).events.push(event);
+            this.handler(null, Object.assign({}, event, { removed: false }));
+        });
+        this.trackBlock(confirmedBlockNumber, toBlock.hash);
+        this.trackedBlocks = this.trackedBlocks.filter(block => block.blockNumber > confirmedBlockNumber - MAX_REORG_DEPTH);
+        this.checkpoint = { blockNumber: confirmedBlockNumber, blockHash: toBlock.hash };
+    }
+
+    /**
+     * Finds the last tracked block still in the chain when the checkpoint block is not, notifies the removal of the
+     * events delivered after it and moves the checkpoint back to it.
+     */
+    async handleReorg(isActive) {
+        const { blockNumber, blockHash } = this.checkpoint;
+        const block = await this.rskTransactionHelper.getBlock(blockNumber);
+        if(block && block.hash === blockHash) {
+            return;
+        }
+        const orphanedBlocks = [];
+        let commonAncestor = null;
+        while(this.trackedBlocks.length > 0) {
+            const trackedBlock = this.trackedBlocks[this.trackedBlocks.length - 1];
+            const currentBlock = trackedBlock.blockNumber === blockNumber ? block : await this.rskTransactionHelper.getBlock(trackedBlock.blockNumber);
+            if(currentBlock && currentBlock.hash === trackedBlock.blockHash) {
+                commonAncestor = { blockNumber: trackedBlock.blockNumber, blockHash: trackedBlock.blockHash };
+                break;
+            }
+            orphanedBlocks.push(this.trackedBlocks.pop());
+        }
+        if(!commonAncestor) {
+            // No tracked block is left in the chain, or there were none after resuming. Rescanning the blocks that may have changed.
+            const oldestBlockNumber = orphanedBlocks.length > 0 ? orphanedBlocks[orphanedBlocks.length - 1].blockNumber - 1 : blockNumber - this.confirmations;
+            commonAncestor = { blockNumber: Math.max(oldestBlockNumber, -1), blockHash: null };
+        }
+        if(isActive()) {
+            orphanedBlocks.forEach(orphanedBlock => {
+                [...orphanedBlock.events].reverse().forEach(event => this.handler(null, Object.assign({}, event, { removed: true })));
+            });
+        }
+        this.checkpoint = commonAncestor;
+    }
+
+    trackBlock(blockNumber, blockHash) {
+        const lastBlock = this.trackedBlocks[this.trackedBlocks.length - 1];
+        if(lastBlock && lastBlock.blockNumber === blockNumber) {
+            return lastBlock;
+        }
+        const trackedBlock = { blockNumber, blockHash, events: [] };
+        this.trackedBlocks.push(trackedBlock);
+        return trackedBlock;
+    }
+
+}
+
+module.exports = EventWatcher;
@@ -0,0 +1,107 @@
+'use strict';
+const Web3 = require('web3');
+const { ConfigurationError } = require('./rsk-transaction-helper-error');
+
+const GAS_PRICE_STRATEGIES = {
+    NODE: 'node',
+    MINIMUM_GAS_PRICE: 'minimumGasPrice',
+    FIXED: 'fixed',
+};
+
+const CUSTOM_GAS_PRICE_STRATEGY = 'custom';
+
+const DEFAULT_GAS_PRICE_STRATEGY = {
+    strategy: GAS_PRICE_STRATEGIES.NODE,
+    marginPercent: 10,
+    multiplier: 1,
+};
+
+// Multipliers are applied with this precision, as BN only handles integers
+const MULTIPLIER_PRECISION = 1000;
+
+/**
+ * Builds the gas price strategy from `rskConfig.gasPriceStrategy`, defaulting to the node `eth_gasPrice`.
+ * @param {Object} rskConfig
+ * @returns {GasPriceStrategy}
+ */
+const createGasPriceStrategy = (rskConfig) => {
+    const gasPriceStrategy = Object.assign({}, DEFAULT_GAS_PRICE_STRATEGY, rskConfig.gasPriceStrategy);
+    const { strategy, value, marginPercent, multiplier, maxGasPrice } = gasPriceStrategy;
+    if(typeof strategy !== 'function' && !Object.values(GAS_PRICE_STRATEGIES).includes(strategy)) {
+        throw new ConfigurationError(`Invalid gas price strategy provided: ${strategy}`);
+    }
+    if(strategy === GAS_PRICE_STRATEGIES.FIXED && (value === undefined || value === null)) {
+        throw new ConfigurationError('A value is required for the fixed gas price strategy');
+    }
+    if(!(marginPercent >= 0)) {
+        throw new ConfigurationError('Invalid marginPercent provided. Must not be negative.');
+    }
+    if(!(multiplier > 0)) {
+        throw new ConfigurationError('Invalid multiplier provided. Must be greater than 0.');
+    }
+    if(maxGasPrice !== undefined && maxGasPrice !== null && Web3.utils.toBN(maxGasPrice).isZero()) {
+        throw new ConfigurationError('Invalid maxGasPrice provided. Must be greater than 0.');
+    }
+    return gasPriceStrategy;
+};
+
+const applyPercent = (amount, percent) => amount.muln(100 + percent).addn(99).divn(100);
+
+const applyMultiplier = (amount, multiplier) => {
+    const scaledMultiplier = Math.round(multiplier * MULTIPLIER_PRECISION);
+    return amount.muln(scaledMultiplier).addn(MULTIPLIER_PRECISION - 1).divn(MULTIPLIER_PRECISION);
+};
+
+/**
+ * Resolves the gas price to use following `gasPriceStrategy`: takes the base price from the strategy, applies the
+ * `multiplier` and caps it at `maxGasPrice`. The result is never below the `minimumGasPrice` of the latest block,
+ * since Rootstock nodes reject those transactions.
+ * @param {GasPriceStrategy} gasPriceStrategy
+ * @param {{ getNodeGasPrice: () => Promise<BN>, getMinimumGasPrice: () => Promise<BN>, rskTransactionHelper: RskTransactionHelper }} sources
+ * @returns {Promise<{ gasPrice: BN, strategy: string, minimumGasPrice: BN }>}
+ * @throws {ConfigurationError} If `maxGasPrice` is below the block `minimumGasPrice`
+ */
+const resolveGasPrice = async (gasPriceStrategy, sources) => {
+    const { strategy, value, marginPercent, multiplier, maxGasPrice } = gasPriceStrategy;
+    const minimumGasPrice = await sources.getMinimumGasPrice();
+
+    let gasPrice;
+    if(typeof strategy === 'function') {
+        gasPrice = Web3.utils.toBN(await strategy(sources.rskTransactionHelper));
+    } else if(strategy === GAS_PRICE_STRATEGIES.FIXED) {
+        gasPrice = Web3.utils.toBN(value);
+    } else if(strategy === GAS_PRICE_STRATEGIES.MINIMUM_GAS_PRICE) {
+        gasPrice = applyPercent(minimumGasPrice, marginPercent);
+    } else {
+        gasPrice = await sources.getNodeGasPrice();
+    }
+
+    if(multiplier !== 1) {
+        gasPrice = applyMultiplier(gasPrice, multiplier);
+    }
+    if(maxGasPrice !== undefined && maxGasPrice !== null) {
+        const maxGasPriceBn = Web3.utils.toBN(maxGasPrice);
+        if(maxGasPriceBn.lt(minimumGasPrice)) {
+            throw new ConfigurationError(`maxGasPrice ${maxGasPriceBn.toString()} is below the block minimumGasPrice ${minimumGasPrice.toString()}`);
+        }
+        if(gasPrice.gt(maxGasPriceBn)) {
+            gasPrice = maxGasPriceBn;
+        }
+    }
+    if(gasPrice.lt(minimumGasPrice)) {
+        gasPrice = minimumGasPrice;
+    }
+
+    return {
+        gasPrice,
+        strategy: typeof strategy === 'function' ? CUSTOM_GAS_PRICE_STRATEGY : strategy,
+        minimumGasPrice,
+    };
+};
+
+module.exports = {
+    GAS_PRICE_STRATEGIES,
+    DEFAULT_GAS_PRICE_STRATEGY,
+    createGasPriceStrategy,
+    resolveGasPrice,
+};
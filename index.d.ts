@@ -1,7 +1,8 @@
 import Web3 from 'web3';
-import { TransactionReceipt, TransactionConfig } from 'web3-core';
-import type { Block } from 'web3-eth';
-import { ContractSendMethod } from 'web3-eth-contract';
+import { Transaction, TransactionReceipt, TransactionConfig, Log } from 'web3-core';
+import type { Block, BlockHeader } from 'web3-eth';
+import { Contract, ContractSendMethod } from 'web3-eth-contract';
+import { AbiItem } from 'web3-utils';
 
 import BN from 'bn.js';
 
@@ -18,11 +19,293 @@ export type GasOptions = {
     gasLimit?: number;
 };
 
+export type SendTransactionResult = {
+    hash: string;
+    nonce: number;
+    gasPrice: BN;
+    gasLimit: BN;
+    rawTransaction: string;
+    from: string;
+    gasPriceStrategy?: string;
+};
+
+export type DeployContractOptions = {
+    abi: AbiItem[];
+    bytecode: string;
+    args?: any[];
+    signer: string | Signer;
+    gasOptions?: GasOptions;
+    waitOptions?: WaitForReceiptOptions;
+};
+
+export type SendContractMethodOptions = {
+    value?: number | string | BN;
+    gasOptions?: GasOptions;
+    waitFor?: boolean | WaitForReceiptOptions;
+};
+
+export type ContractMethodReceipt = TransactionReceipt & {
+    events: DecodedEvent[];
+};
+
+export type ReplacementResult = SendTransactionResult & {
+    replacedHash: string;
+};
+
+export type ReplacementOptions = {
+    gasPriceBumpPercent?: number;
+};
+
+export type TransactionParams = {
+    from?: string;
+    nonce?: number;
+    gasPrice?: number | string | BN;
+    gasLimit?: number | string | BN;
+    chainId?: number | string;
+    to?: string;
+    data?: string;
+    value?: number | string | BN;
+};
+
+export type WaitForReceiptOptions = {
+    confirmations?: number;
+    timeoutMs?: number;
+    pollIntervalMs?: number;
+    autoMine?: boolean;
+};
+
+export interface Signer {
+    address: string;
+    signTransaction(rawTx: object): Promise<string>;
+}
+
+export class PrivateKeySigner implements Signer {
+    constructor(privateKey: string);
+    address: string;
+    signTransaction(rawTx: object): Promise<string>;
+}
+
+export class KeystoreSigner extends PrivateKeySigner {
+    constructor(keystore: object | string, password: string);
+    static fromFile(filePath: string, password: string): KeystoreSigner;
+}
+
+export type MnemonicSignerOptions = {
+    chainId?: number | string;
+    index?: number;
+    derivationPath?: string;
+    passphrase?: string;
+};
+
+export class MnemonicSigner extends PrivateKeySigner {
+    constructor(mnemonic: string, options?: MnemonicSignerOptions);
+    derivationPath: string;
+}
+
+export function getDerivationPath(chainId?: number | string, index?: number): string;
+
+export function toChecksumAddress(address: string, chainId?: number | string): string;
+
+export function isValidAddress(address: string, chainId?: number | string): boolean;
+
+export const BRIDGE_ADDRESS: string;
+
+export const BRIDGE_ABI: AbiItem[];
+
+export class Bridge {
+    constructor(rskTransactionHelper: RskTransactionHelper);
+    address: string;
+    getContract(): Contract;
+    getFederationAddress(): Promise<string>;
+    getFederationSize(): Promise<number>;
+    getFederationThreshold(): Promise<number>;
+    getBtcBlockchainBestChainHeight(): Promise<number>;
+    getMinimumLockTxValue(): Promise<BN>;
+    getStateForBtcReleaseClient(): Promise<string>;
+    isBtcTxHashAlreadyProcessed(btcTxHash: string): Promise<boolean>;
+    getLockingCap(): Promise<BN>;
+    decodeLogs(logs: Log[]): BridgeEvent[];
+}
+
+export type DecodedEvent = {
+    event: string;
+    returnValues: { [key: string]: any };
+    log: Log;
+};
+
+export type BridgeEvent = DecodedEvent;
+
+export type GetEventsOptions = {
+    address?: string | string[];
+    abi: AbiItem[];
+    eventName?: string;
+    filter?: { [indexedParameter: string]: any };
+    fromBlock?: number | string;
+    toBlock?: number | string;
+    chunkSize?: number;
+};
+
+export type WatchedEvent = DecodedEvent & {
+    removed: boolean;
+};
+
+export type EventsCheckpoint = {
+    blockNumber: number;
+    blockHash: string | null;
+};
+
+export type WatchEventsOptions = {
+    confirmations?: number;
+    startBlock?: number | string;
+    pollIntervalMs?: number;
+    checkpoint?: EventsCheckpoint;
+};
+
+export class EventWatcher implements Subscription {
+    constructor(rskTransactionHelper: RskTransactionHelper, filter: Omit<GetEventsOptions, 'fromBlock' | 'toBlock'>, handler: (error: Error | null, event?: WatchedEvent) => void, options?: WatchEventsOptions);
+    start(): EventWatcher;
+    unsubscribe(): Promise<void>;
+    getCheckpoint(): EventsCheckpoint | null;
+    poll(): Promise<void>;
+}
+
+export const ERC20_ABI: AbiItem[];
+
+export const RIF_TOKEN_ADDRESSES: { [chainId: number]: string };
+
+export function parseUnits(amount: string | number, decimals: number): BN;
+
+export function formatUnits(amount: number | string | BN, decimals: number): string;
+
+export type TokenMetadata = {
+    name: string;
+    symbol: string;
+    decimals: number;
+};
+
+export class Token {
+    constructor(rskTransactionHelper: RskTransactionHelper, address: string);
+    address: string;
+    getContract(): Contract;
+    getTokenMetadata(): Promise<TokenMetadata>;
+    parseAmount(amount: string | number): Promise<BN>;
+    formatAmount(amount: number | string | BN): Promise<string>;
+    getTokenBalance(address: string): Promise<BN>;
+    allowance(owner: string, spender: string): Promise<BN>;
+    transferToken(signer: string | Signer, to: string, amount: number | string | BN, options?: Omit<SendContractMethodOptions, 'value'>): Promise<SendTransactionResult | ContractMethodReceipt>;
+    approve(signer: string | Signer, spender: string, amount: number | string | BN, options?: Omit<SendContractMethodOptions, 'value'>): Promise<SendTransactionResult | ContractMethodReceipt>;
+    transferFrom(signer: string | Signer, from: string, to: string, amount: number | string | BN, options?: Omit<SendContractMethodOptions, 'value'>): Promise<SendTransactionResult | ContractMethodReceipt>;
+}
+
+export class PegoutTracker {
+    constructor(rskTransactionHelper: RskTransactionHelper, sendResult: SendTransactionResult);
+    txHash: string;
+    sendResult: SendTransactionResult;
+    getReceipt(): Promise<TransactionReceipt | null>;
+    waitForReceipt(waitOptions?: WaitForReceiptOptions): Promise<TransactionReceipt>;
+    getRequestEvent(waitOptions?: WaitForReceiptOptions): Promise<BridgeEvent | null>;
+    findReleaseEvents(receipt: TransactionReceipt): BridgeEvent[];
+}
+
+export type PegoutOptions = {
+    gasOptions?: GasOptions;
+    minimumPegoutValueInWei?: number | string | BN;
+};
+
+export type RetryPolicy = {
+    maxAttempts?: number;
+    initialDelayMs?: number;
+    backoffFactor?: number;
+    maxDelayMs?: number;
+    jitter?: number;
+    maxDurationMs?: number;
+    shouldRetry?: (error: any) => boolean;
+};
+
+export function isRetryableError(error: any): boolean;
+
+export function isUndeliveredError(error: any): boolean;
+
+export type EndpointStatus = {
+    hostUrl: string;
+    healthy: boolean;
+    blockNumber: number | null;
+};
+
+export type ReconnectOptions = {
+    auto?: boolean;
+    delay?: number;
+    maxAttempts?: number | false;
+};
+
+export type Subscription = {
+    unsubscribe(): Promise<void>;
+};
+
+export type SubscriptionOptions = {
+    pollIntervalMs?: number;
+};
+
+export type RpcOptions = {
+    retry?: boolean;
+    shouldRetry?: (error: any) => boolean;
+};
+
+export type GasPriceStrategy = {
+    strategy?: 'node' | 'minimumGasPrice' | 'fixed' | ((rskTransactionHelper: RskTransactionHelper) => Promise<number | string | BN>);
+    value?: number | string | BN;
+    marginPercent?: number;
+    multiplier?: number;
+    maxGasPrice?: number | string | BN;
+};
+
+export type ResolvedGasPrice = {
+    gasPrice: BN;
+    strategy: string;
+    minimumGasPrice: BN;
+};
+
+export type DecodedRevert = {
+    reason: string | null;
+    errorName: string | null;
+    args: { [key: string]: any } | null;
+    data: string | null;
+};
+
+export type Network = 'mainnet' | 'testnet' | 'regtest';
+
+export type NetworkPreset = {
+    chainId: number;
+    hostUrl: string;
+    bridgeAddress: string;
+    derivationPath: string;
+    explorerUrl: string | null;
+    confirmations: number;
+    maxAttempts: number;
+};
+
+export const NETWORK_PRESETS: { [network in Network]: NetworkPreset };
+
+export function getNetworkPreset(network: Network): NetworkPreset;
+
 type Config = {
-    hostUrl?: string,
+    network?: Network,
+    hostUrl?: string | string[],
     maxAttempts?: number,
     attemptDelay?: number,
+    retryPolicy?: RetryPolicy,
     chainId?: number | string,
+    validateChecksums?: boolean,
+    preferHighestBlock?: boolean,
+    healthCheckIntervalMs?: number,
+    healthCheckTimeoutMs?: number,
+    reconnect?: ReconnectOptions,
+    gasPriceStrategy?: GasPriceStrategy,
+    gasEstimationMarginPercent?: number,
+    bridgeAddress?: string,
+    derivationPath?: string,
+    explorerUrl?: string | null,
+    confirmations?: number,
 };
 
 export class RskTransactionHelper {
@@ -30,20 +313,109 @@ export class RskTransactionHelper {
     rskConfig: Config;
     web3Client: Web3;
     mine(amountOfBlocks?: number): Promise<void>;
+    mineUntil(blockNumber: number): Promise<void>;
+    increaseTime(seconds: number): Promise<void>;
+    setNextBlockTimestamp(timestamp: number): Promise<void>;
+    snapshot(): Promise<string>;
+    revert(snapshotId: string): Promise<void>;
+    withSnapshot<T extends (...args: any[]) => any>(fn: T): (...args: Parameters<T>) => Promise<Awaited<ReturnType<T>>>;
+    rpc(method: string, params?: any[], options?: RpcOptions): Promise<any>;
     getClient(): Web3;
+    getCurrentHostUrl(): string;
+    checkEndpointsHealth(): Promise<EndpointStatus[]>;
+    stopHealthChecks(): void;
+    onNewBlock(callback: (error: Error | null, block?: BlockHeader) => void, options?: SubscriptionOptions): Subscription;
+    onPendingTransaction(callback: (error: Error | null, txHash?: string) => void, options?: SubscriptionOptions): Subscription;
+    watchEvents(filter: Omit<GetEventsOptions, 'fromBlock' | 'toBlock'>, handler: (error: Error | null, event?: WatchedEvent) => void, options?: WatchEventsOptions): EventWatcher;
+    disconnect(): Promise<void>;
+    getExplorerUrl(txHash: string): string | null;
+    deployContract(deployOptions: DeployContractOptions): Promise<Contract>;
+    getBridge(): Bridge;
+    getToken(tokenAddress: string): Token;
+    getRifToken(): Promise<Token>;
+    createMnemonicSigner(mnemonic: string, options?: Omit<MnemonicSignerOptions, 'chainId'>): MnemonicSigner;
     getTxReceipt(): Promise<TransactionReceipt>;
+    waitForReceipt(txHash: string, waitOptions?: WaitForReceiptOptions): Promise<TransactionReceipt>;
+    getChainId(): Promise<number>;
     getGasPrice(): Promise<BN>;
+    getMinimumGasPrice(): Promise<BN>;
+    resolveGasPrice(): Promise<ResolvedGasPrice>;
+    estimateGasLimit(txConfig: { from: string, to?: string, value?: number | string | BN, data?: string }, abi?: AbiItem[]): Promise<BN>;
+    getRevertReason(txHash: string, abi?: AbiItem[]): Promise<DecodedRevert | null>;
+    getEvents(eventsOptions: GetEventsOptions): Promise<DecodedEvent[]>;
     getBalance(address: string): Promise<BN>;
-    transferFundsCheckingBalance(senderAddress: string, senderPrivateKey: string, destinationAddress: string, value: number, gasOptions?: GasOptions): Promise<string>;
-    transferFunds(senderAddress: string, senderPrivateKey: string, destinationAddress: string, value: number, gasOptions?: GasOptions): Promise<string>;
-    signAndSendTransaction(senderAddress: string, senderPrivateKey: string, destinationAddress: string, abi: string, value: number, gasOptions?: GasOptions): Promise<string>;
-    signAndSendTransactionCheckingBalance(call: ContractSendMethod, senderAddress: string, senderPrivateKey: string, destinationAddress: string, estimatedGasPercentIncrement: number): Promise<string>;
+    resetNonce(address?: string): void;
+    speedUp(txHash: string, signer: string | Signer, options?: ReplacementOptions): Promise<ReplacementResult>;
+    cancel(txHash: string, signer: string | Signer, options?: ReplacementOptions): Promise<ReplacementResult>;
+    getTransactionReplacements(txHash: string): string[];
+    getTransaction(txHash: string): Promise<Transaction | null>;
+    pegout(senderSigner: string | Signer, valueInWei: number | string | BN, options?: PegoutOptions): Promise<PegoutTracker>;
+    transferFundsCheckingBalance(senderAddress: string, senderPrivateKey: string | Signer, destinationAddress: string, value: number, gasOptions?: GasOptions): Promise<SendTransactionResult>;
+    transferFunds(senderAddress: string, senderPrivateKey: string | Signer, destinationAddress: string, value: number, gasOptions?: GasOptions): Promise<SendTransactionResult>;
+    buildTransaction(txParams: TransactionParams): string;
+    signTransaction(txParams: TransactionParams, senderPrivateKey: string | Signer): Promise<string>;
+    broadcastRawTransaction(rawTransaction: string): Promise<string>;
+    buildSignAndBroadcast(senderAddress: string, senderPrivateKey: string | Signer, txParams: TransactionParams, gasOptions?: GasOptions): Promise<SendTransactionResult>;
+    signAndSendTransaction(senderAddress: string, senderPrivateKey: string | Signer, destinationAddress: string, abi: string, value: number, gasOptions?: GasOptions): Promise<SendTransactionResult>;
+    transferFundsAndWait(senderAddress: string, senderPrivateKey: string | Signer, destinationAddress: string, value: number, gasOptions?: GasOptions, waitOptions?: WaitForReceiptOptions): Promise<TransactionReceipt>;
+    signAndSendTransactionAndWait(senderAddress: string, senderPrivateKey: string | Signer, destinationAddress: string, abi: string, value: number, gasOptions?: GasOptions, waitOptions?: WaitForReceiptOptions): Promise<TransactionReceipt>;
+    signAndSendTransactionCheckingBalance(call: ContractSendMethod, senderAddress: string, senderPrivateKey: string | Signer, destinationAddress: string, estimatedGasPercentIncrement: number): Promise<SendTransactionResult>;
+    sendContractMethod(call: ContractSendMethod, signer: string | Signer, options?: SendContractMethodOptions & { waitFor?: false }): Promise<SendTransactionResult>;
+    sendContractMethod(call: ContractSendMethod, signer: string | Signer, options: SendContractMethodOptions & { waitFor: true | WaitForReceiptOptions }): Promise<ContractMethodReceipt>;
+    callContractMethod(call: ContractSendMethod | (() => ContractSendMethod), options?: { blockTag?: number | string, from?: string }): Promise<any>;
     checkBalanceForCall(call: ContractSendMethod, callerAddress: string): Promise<BalanceForCallResponse>;
     getBlockNumber(): Promise<number>;
     sendTransaction(txConfig: TransactionConfig): Promise<string>;
+    sendTransactionAndWait(txConfig: TransactionConfig, waitOptions?: WaitForReceiptOptions): Promise<TransactionReceipt>;
     newAccountWithSeed(seed: string): Promise<string>;
     updateBridge(): Promise<void>;
     getBlock(blockHashOrBlockNumber: number | string): Promise<Block>;
     importAccount(privateKey: string): Promise<string>;
     unlockAccount(address: string): Promise<boolean>;
 }
+
+
+export class RskTransactionHelperException extends Error {
+    constructor(message: string, err?: Error);
+    /** A stable code for the error class, i.e. `RPC_ERROR` */
+    code: string;
+    cause?: Error;
+}
+
+export class ConfigurationError extends RskTransactionHelperException {}
+
+export class InvalidArgumentError extends RskTransactionHelperException {}
+
+export class ConnectionError extends RskTransactionHelperException {}
+
+export class InsufficientBalanceError extends RskTransactionHelperException {
+    constructor(required: BN, available: BN, asset?: string);
+    required: BN;
+    available: BN;
+    asset: string | null;
+}
+
+export class NonceError extends RskTransactionHelperException {}
+
+export class TimeoutError extends RskTransactionHelperException {}
+
+export class RpcError extends RskTransactionHelperException {
+    constructor(rpcError: { code?: number, message: string, data?: any }, method?: string, err?: Error);
+    /** The JSON-RPC error code returned by the node, null if `web3` didn't keep it */
+    rpcCode: number | null;
+    data: any;
+    method: string | null;
+}
+
+export class RetryError extends ConnectionError {
+    constructor(message: string, errors: any[]);
+    errors: any[];
+}
+
+export class RevertError extends RskTransactionHelperException {
+    constructor(message: string, revert: DecodedRevert, err?: Error);
+    reason: string | null;
+    errorName: string | null;
+    args: { [key: string]: any } | null;
+    data: string | null;
+}
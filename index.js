@@ -1,4 +1,42 @@
+const RskTransactionHelperException = require('./rsk-transaction-helper-error');
+const Bridge = require('./bridge');
+const { isRetryableError, isUndeliveredError } = require('./retry-policy');
+const { toChecksumAddress, isValidAddress } = require('./address-utils');
+const { PrivateKeySigner, KeystoreSigner, MnemonicSigner, getDerivationPath } = require('./signers');
+const { NETWORK_PRESETS, getNetworkPreset } = require('./networks');
+const EventWatcher = require('./event-watcher');
+const Token = require('./token');
+
 module.exports = {
     RskTransactionHelper: require('./rsk-transaction-helper'),
-    RskTransactionHelperException: require('./rsk-transaction-helper-error')
-}
\ No newline at end of file
+    RskTransactionHelperException,
+    ConfigurationError: RskTransactionHelperException.ConfigurationError,
+    InvalidArgumentError: RskTransactionHelperException.InvalidArgumentError,
+    ConnectionError: RskTransactionHelperException.ConnectionError,
+    InsufficientBalanceError: RskTransactionHelperException.InsufficientBalanceError,
+    NonceError: RskTransactionHelperException.NonceError,
+    TimeoutError: RskTransactionHelperException.TimeoutError,
+    RpcError: RskTransactionHelperException.RpcError,
+    RetryError: RskTransactionHelperException.RetryError,
+    RevertError: RskTransactionHelperException.RevertError,
+    isRetryableError,
+    isUndeliveredError,
+    PrivateKeySigner,
+    KeystoreSigner,
+    MnemonicSigner,
+    getDerivationPath,
+    toChecksumAddress,
+    isValidAddress,
+    NETWORK_PRESETS,
+    getNetworkPreset,
+    Bridge,
+    BRIDGE_ADDRESS: Bridge.BRIDGE_ADDRESS,
+    BRIDGE_ABI: Bridge.BRIDGE_ABI,
+    PegoutTracker: Bridge.PegoutTracker,
+    EventWatcher,
+    Token,
+    ERC20_ABI: Token.ERC20_ABI,
+    RIF_TOKEN_ADDRESSES: Token.RIF_TOKEN_ADDRESSES,
+    parseUnits: Token.parseUnits,
+    formatUnits: Token.formatUnits,
+}
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Decodes `logs` with the `event` items of `abi`. Logs not matching any of those events are skipped.
+ * @param {Log[]} logs The logs of a transaction receipt or of `eth_getLogs`
+ * @param {AbiItem[]} abi The ABI declaring the events
+ * @param {AbiCoder} abiCoder The `web3.eth.abi` coder
+ * @param {string} address Only the logs emitted by this contract are decoded. Optional.
+ * @returns {{ event: string, returnValues: Object, log: Log }[]} The decoded events, in the same order as `logs`
+ */
+const decodeLogs = (logs, abi, abiCoder, address) => {
+    const events = abi.filter(item => item.type === 'event');
+    const signatures = events.map(event => abiCoder.encodeEventSignature(event));
+    const contractAddress = address && address.toLowerCase();
+    return logs
+        .filter(log => !contractAddress || (log.address && log.address.toLowerCase() === contractAddress))
+        .map(log => {
+            const eventAbi = events.find((event, index) => event.anonymous ? false : signatures[index] === log.topics[0]);
+            if(!eventAbi) {
+                return null;
+            }
+            const returnValues = abiCoder.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1));
+            return { event: eventAbi.name, returnValues, log };
+        })
+        .filter(event => event !== null);
+};
+
+module.exports = {
+    decodeLogs,
+};
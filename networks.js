@@ -0,0 +1,62 @@
+'use strict';
+const { BRIDGE_ADDRESS } = require('./bridge');
+const { getDerivationPath } = require('./signers');
+const { ConfigurationError } = require('./rsk-transaction-helper-error');
+
+const MAINNET = 'mainnet';
+const TESTNET = 'testnet';
+const REGTEST = 'regtest';
+
+/**
+ * Settings of the known Rootstock networks. `explorerUrl` is a template where `{txHash}` is replaced by the
+ * transaction hash, and `confirmations` the depth `waitForReceipt` waits for by default.
+ */
+const NETWORK_PRESETS = {
+    [MAINNET]: {
+        chainId: 30,
+        hostUrl: 'https://public-node.rsk.co',
+        bridgeAddress: BRIDGE_ADDRESS,
+        derivationPath: getDerivationPath(30),
+        explorerUrl: 'https://explorer.rootstock.io/tx/{txHash}',
+        confirmations: 12,
+        maxAttempts: 3,
+    },
+    [TESTNET]: {
+        chainId: 31,
+        hostUrl: 'https://public-node.testnet.rsk.co',
+        bridgeAddress: BRIDGE_ADDRESS,
+        derivationPath: getDerivationPath(31),
+        explorerUrl: 'https://explorer.testnet.rootstock.io/tx/{txHash}',
+        confirmations: 6,
+        maxAttempts: 3,
+    },
+    [REGTEST]: {
+        chainId: 33,
+        hostUrl: 'http://localhost:4444',
+        bridgeAddress: BRIDGE_ADDRESS,
+        derivationPath: getDerivationPath(33),
+        explorerUrl: null,
+        confirmations: 1,
+        maxAttempts: 1,
+    },
+};
+
+/**
+ * @param {string} network One of `mainnet`, `testnet` or `regtest`
+ * @returns {NetworkPreset} A copy of the preset settings of `network`
+ * @throws {ConfigurationError} If `network` is not a known one
+ */
+const getNetworkPreset = (network) => {
+    if(!Object.prototype.hasOwnProperty.call(NETWORK_PRESETS, network)) {
+        throw new ConfigurationError(`Unknown network provided: ${network}. Expected one of ${Object.keys(NETWORK_PRESETS).join(', ')}.`);
+    }
+    return Object.assign({}, NETWORK_PRESETS[network]);
+};
+
+module.exports = {
+    NETWORK_PRESETS,
+    MAINNET,
+    TESTNET,
+    REGTEST,
+    getNetworkPreset,
+};
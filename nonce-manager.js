@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Hands out sequential nonces per sender address. Concurrent callers for the same address are
+ * served one at a time, so parallel sends from the same account never share a nonce.
+ */
+class NonceManager {
+
+    /**
+     * @param {(address: string) => Promise<number>} fetchPendingNonce Returns the `pending` transaction count of `address` from the node
+     */
+    constructor(fetchPendingNonce) {
+        this.fetchPendingNonce = fetchPendingNonce;
+        this.nextNonces = new Map();
+        this.queues = new Map();
+    }
+
+    /**
+     * Returns the nonce to be used by the next transaction of `address`. The node `pending` count is
+     * checked every time, so transactions sent from outside this manager are also taken into account.
+     * @param {string} address
+     * @returns {Promise<number>} The nonce
+     */
+    next(address) {
+        const key = address.toLowerCase();
+        const previous = this.queues.get(key) || Promise.resolve();
+        const nonce = previous.then(() => this.allocate(address, key));
+        this.queues.set(key, nonce.catch(() => {}));
+        return nonce;
+    }
+
+    async allocate(address, key) {
+        const pendingNonce = Number(await this.fetchPendingNonce(address));
+        const localNonce = this.nextNonces.get(key);
+        const nonce = localNonce === undefined ? pendingNonce : Math.max(localNonce, pendingNonce);
+        this.nextNonces.set(key, nonce + 1);
+        return nonce;
+    }
+
+    /**
+     * Forgets the locally tracked nonce so the next one is taken from the node again.
+     * @param {string} address The address to reset. Resets every address if not provided.
+     */
+    reset(address) {
+        if(address) {
+            this.nextNonces.delete(address.toLowerCase());
+        } else {
+            this.nextNonces.clear();
+        }
+    }
+
+}
+
+module.exports = NonceManager;
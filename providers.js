@@ -0,0 +1,95 @@
+'use strict';
+const net = require('net');
+const Web3 = require('web3');
+
+const DEFAULT_RECONNECT_OPTIONS = {
+    auto: true,
+    delay: 5000,
+    maxAttempts: false,
+};
+
+const WEBSOCKET_KEEPALIVE_INTERVAL_MS = 60000;
+
+const isWebsocketUrl = hostUrl => /^wss?:\/\//i.test(hostUrl);
+
+const isIpcPath = hostUrl => hostUrl.endsWith('.ipc') || hostUrl.startsWith('/') || hostUrl.startsWith('\\\\.\\pipe\\');
+
+/**
+ * Reconnects the IPC socket every time it gets closed, as `IpcProvider` only does it on the next request.
+ * `web3` resubscribes the active subscriptions once the socket is connected again.
+ */
+const keepIpcProviderConnected = (provider, reconnectOptions) => {
+    let attempts = 0;
+    provider.connection.on('connect', () => {
+        attempts = 0;
+    });
+    provider.connection.on('close', () => {
+        if(provider.closedByUser || !reconnectOptions.auto || (reconnectOptions.maxAttempts && attempts >= reconnectOptions.maxAttempts)) {
+            return;
+        }
+        attempts++;
+        provider.reconnectTimer = setTimeout(() => provider.reconnect(), reconnectOptions.delay);
+    });
+};
+
+/**
+ * Creates the provider for `hostUrl`: a `WebsocketProvider` for `ws://` and `wss://` urls, an `IpcProvider` for
+ * IPC socket paths (`*.ipc`, absolute paths and Windows named pipes), and `http://` for anything else without a protocol.
+ * Websocket and IPC providers reconnect on their own when the socket drops.
+ * @param {string} hostUrl
+ * @param {{ auto?: boolean, delay?: number, maxAttempts?: number | false }} reconnect Reconnection options for websocket and IPC providers
+ * @returns {string | Object} The provider, or the http url to create one from
+ */
+const createProvider = (hostUrl, reconnect) => {
+    const reconnectOptions = Object.assign({}, DEFAULT_RECONNECT_OPTIONS, reconnect);
+    if(isWebsocketUrl(hostUrl)) {
+        return new Web3.providers.WebsocketProvider(hostUrl, {
+            reconnect: Object.assign({ onTimeout: false }, reconnectOptions),
+            clientConfig: {
+                keepalive: true,
+                keepaliveInterval: WEBSOCKET_KEEPALIVE_INTERVAL_MS,
+            },
+        });
+    }
+    if(isIpcPath(hostUrl)) {
+        const provider = new Web3.providers.IpcProvider(hostUrl, net);
+        keepIpcProviderConnected(provider, reconnectOptions);
+        return provider;
+    }
+    if(!hostUrl.startsWith('http://') && !hostUrl.startsWith('https://')){
+        return `http://${hostUrl}`;
+    }
+    return hostUrl;
+};
+
+/**
+ * Closes the socket of websocket and IPC providers, without reconnecting. Does nothing for http providers.
+ * @param {Object} provider
+ */
+const closeProvider = (provider) => {
+    if(provider instanceof Web3.providers.WebsocketProvider) {
+        provider.reconnectOptions.auto = false;
+        provider.disconnect();
+    } else if(provider instanceof Web3.providers.IpcProvider) {
+        provider.closedByUser = true;
+        clearTimeout(provider.reconnectTimer);
+        provider.connection.destroy();
+    }
+};
+
+/**
+ * @param {Object} provider
+ * @returns {boolean} true if the provider supports `eth_subscribe`, i.e. websocket and IPC providers
+ */
+const supportsSubscriptions = (provider) => {
+    return !!(provider && provider.supportsSubscriptions && provider.supportsSubscriptions());
+};
+
+module.exports = {
+    createProvider,
+    closeProvider,
+    supportsSubscriptions,
+    isWebsocketUrl,
+    isIpcPath,
+    DEFAULT_RECONNECT_OPTIONS,
+};
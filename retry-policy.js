@@ -0,0 +1,131 @@
+'use strict';
+const { ConfigurationError } = require('./rsk-transaction-helper-error');
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+const RETRYABLE_HTTP_STATUSES = [429, 502, 503, 504];
+
+const RETRYABLE_ERROR_MESSAGES = [
+    `CONNECTION ERROR: Couldn't connect to node`,
+    'CONNECTION TIMEOUT',
+    'connection not open',
+    'socket hang up',
+    'timeout',
+    'Too Many Requests',
+    'Bad Gateway',
+    'Service Unavailable',
+    'Gateway Timeout',
+    'header not found',
+    ...RETRYABLE_ERROR_CODES,
+];
+
+// Failures happening before the request is written, so the node never got it
+const UNDELIVERED_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+const UNDELIVERED_ERROR_MESSAGES = [
+    `CONNECTION ERROR: Couldn't connect to node`,
+    'connection not open',
+    ...UNDELIVERED_ERROR_CODES,
+];
+
+const ALREADY_KNOWN_ERROR_MESSAGES = ['already known', 'already imported', 'known transaction', 'already in pool'];
+
+/**
+ * Default `shouldRetry` classifier. Retries connection failures, timeouts, rate limiting and gateway errors,
+ * and nodes answering with `header not found` while catching up. Errors returned by the node for the request itself are not retried.
+ * @param {Error} error
+ * @returns {boolean} true if the failed call can be attempted again
+ */
+const isRetryableError = (error) => {
+    if(!error) {
+        return false;
+    }
+    if(RETRYABLE_ERROR_CODES.includes(error.code)) {
+        return true;
+    }
+    if(RETRYABLE_HTTP_STATUSES.includes(error.status) || RETRYABLE_HTTP_STATUSES.includes(error.statusCode)) {
+        return true;
+    }
+    const message = (error.message || '').toLowerCase();
+    if(message.startsWith('invalid json rpc response') && RETRYABLE_HTTP_STATUSES.some(status => message.includes(String(status)))) {
+        return true;
+    }
+    return RETRYABLE_ERROR_MESSAGES.some(retryableMessage => message.includes(retryableMessage.toLowerCase()));
+};
+
+/**
+ * Classifier for calls that must not run twice, i.e. `eth_sendTransaction`, where the node signs with a new nonce
+ * every time. Timeouts and dropped connections are not included, the request may have reached the node before.
+ * @param {Error} error
+ * @returns {boolean} true if the request never reached the node, so sending it again can't duplicate it
+ */
+const isUndeliveredError = (error) => {
+    if(!error) {
+        return false;
+    }
+    if(UNDELIVERED_ERROR_CODES.includes(error.code)) {
+        return true;
+    }
+    const message = (error.message || '').toLowerCase();
+    return UNDELIVERED_ERROR_MESSAGES.some(undeliveredMessage => message.includes(undeliveredMessage.toLowerCase()));
+};
+
+/**
+ * @param {Error} error An error returned when broadcasting a transaction
+ * @returns {boolean} true if the node already has the transaction, i.e. a previous attempt reached it
+ */
+const isAlreadyKnownError = (error) => {
+    const message = ((error && error.message) || '').toLowerCase();
+    return ALREADY_KNOWN_ERROR_MESSAGES.some(alreadyKnownMessage => message.includes(alreadyKnownMessage));
+};
+
+// Waiting the same `attemptDelay` before every attempt, as before retry policies. Set `backoffFactor` and `jitter` to back off.
+const DEFAULT_RETRY_POLICY = {
+    backoffFactor: 1,
+    maxDelayMs: 30000,
+    jitter: 0,
+    maxDurationMs: Infinity,
+    shouldRetry: isRetryableError,
+};
+
+/**
+ * Builds the retry policy from the `rskConfig`. `maxAttempts` and `attemptDelay` are taken from the config root,
+ * while everything in `rskConfig.retryPolicy` takes precedence.
+ * @param {Object} rskConfig
+ * @returns {RetryPolicy}
+ */
+const createRetryPolicy = (rskConfig) => {
+    const retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, {
+        maxAttempts: rskConfig.maxAttempts,
+        initialDelayMs: rskConfig.attemptDelay,
+    }, rskConfig.retryPolicy);
+    if(!(retryPolicy.maxAttempts >= 1)) {
+        throw new ConfigurationError('Invalid maxAttempts provided. Must be greater than 0.');
+    }
+    if(retryPolicy.jitter < 0 || retryPolicy.jitter > 1) {
+        throw new ConfigurationError('Invalid jitter provided. Must be between 0 and 1.');
+    }
+    return retryPolicy;
+};
+
+/**
+ * Returns how long to wait before the next attempt: the initial delay is multiplied by `backoffFactor` with every attempt,
+ * up to `maxDelayMs`, and is then randomly moved up or down by up to the `jitter` fraction.
+ * @param {RetryPolicy} retryPolicy
+ * @param {number} attempt The attempt that just failed, starting from 1
+ * @returns {number} The delay in milliseconds
+ */
+const getRetryDelay = (retryPolicy, attempt) => {
+    const delay = Math.min(retryPolicy.initialDelayMs * Math.pow(retryPolicy.backoffFactor, attempt - 1), retryPolicy.maxDelayMs);
+    const jitter = delay * retryPolicy.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + jitter));
+};
+
+module.exports = {
+    isRetryableError,
+    isUndeliveredError,
+    isAlreadyKnownError,
+    createRetryPolicy,
+    getRetryDelay,
+    DEFAULT_RETRY_POLICY,
+};
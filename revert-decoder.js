@@ -0,0 +1,106 @@
+'use strict';
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+    0x00: 'generic compiler panic',
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to a zero-initialized function',
+};
+
+const REVERT_ERROR_MESSAGES = ['revert', 'VM execution error'];
+
+const HEX_REGEX = /^0x([0-9a-fA-F]{2})*$/;
+
+/**
+ * @param {Error} error An error returned by the node for a call, gas estimation or transaction
+ * @returns {boolean} true if the error is the EVM reverting, and not a connection or validation error
+ */
+const isRevertError = (error) => {
+    const message = (error && error.message) || '';
+    return REVERT_ERROR_MESSAGES.some(revertMessage => message.includes(revertMessage));
+};
+
+/**
+ * Finds the revert data in an error returned by the node. Depending on the node and the `web3` version,
+ * it can be in `data` itself, in `data.data` or in `data.result`.
+ * @param {Error} error
+ * @returns {string | null} The `0x` prefixed revert data, or null if the error doesn't carry it
+ */
+const extractRevertData = (error) => {
+    const data = error && error.data;
+    const candidates = [data, data && data.data, data && data.result];
+    const revertData = candidates.find(candidate => typeof candidate === 'string' && HEX_REGEX.test(candidate));
+    return revertData || null;
+};
+
+const formatArg = arg => Array.isArray(arg) ? `[${arg.map(formatArg).join(', ')}]` : String(arg);
+
+/**
+ * Decodes the custom error in `data` using the `error` items in `abi`, i.e. `error InsufficientBalance(uint256 available, uint256 required)`.
+ * @returns {{ errorName: string, args: Object, reason: string } | null} The decoded error, or null if none of the `abi` errors matches
+ */
+const decodeCustomError = (data, abiCoder, abi) => {
+    const selector = data.substring(0, 10).toLowerCase();
+    const errorAbi = abi.find(item => item.type === 'error' && abiCoder.encodeFunctionSignature(item) === selector);
+    if(!errorAbi) {
+        return null;
+    }
+    const args = abiCoder.decodeParameters(errorAbi.inputs, '0x' + data.substring(10));
+    const values = errorAbi.inputs.map((input, index) => formatArg(args[index]));
+    return { errorName: errorAbi.name, args, reason: `${errorAbi.name}(${values.join(', ')})` };
+};
+
+/**
+ * Decodes revert data returned by the EVM: `Error(string)` from `require` and `revert`, `Panic(uint256)`
+ * from failed assertions, overflows and the like, and the custom errors declared in `abi`.
+ * @param {string} data The `0x` prefixed revert data
+ * @param {AbiCoder} abiCoder The `web3.eth.abi` coder
+ * @param {AbiItem[]} abi The ABI declaring the custom errors the contract may revert with. Optional.
+ * @returns {{ reason: string | null, errorName: string | null, args: Object | null, data: string | null }}
+ * The decoded revert. `reason` is null if there's no data or it couldn't be decoded.
+ */
+const decodeRevertData = (data, abiCoder, abi = []) => {
+    const revert = { reason: null, errorName: null, args: null, data: data || null };
+    if(!data || data.length < 10) {
+        return revert;
+    }
+    const selector = data.substring(0, 10).toLowerCase();
+    const encodedArgs = '0x' + data.substring(10);
+    try {
+        if(selector === ERROR_STRING_SELECTOR) {
+            const args = abiCoder.decodeParameters(['string'], encodedArgs);
+            return Object.assign(revert, { reason: args[0], errorName: 'Error', args });
+        }
+        if(selector === PANIC_SELECTOR) {
+            const args = abiCoder.decodeParameters(['uint256'], encodedArgs);
+            const code = Number(args[0]);
+            const description = PANIC_REASONS[code] || 'unknown panic code';
+            return Object.assign(revert, { reason: `Panic(0x${code.toString(16).padStart(2, '0')}): ${description}`, errorName: 'Panic', args });
+        }
+        const customError = decodeCustomError(data, abiCoder, abi || []);
+        if(customError) {
+            return Object.assign(revert, customError);
+        }
+    } catch (error) {
+        // Malformed revert data, returning it undecoded
+    }
+    return revert;
+};
+
+module.exports = {
+    isRevertError,
+    extractRevertData,
+    decodeRevertData,
+    ERROR_STRING_SELECTOR,
+    PANIC_SELECTOR,
+};
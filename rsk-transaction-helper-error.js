@@ -1,8 +1,128 @@
 class RskTransactionHelperError extends Error {
+    /**
+     * @param {string} message
+     * @param {Error} err The error that caused this one, available as `cause`. Optional.
+     */
     constructor(message, err) {
         super(message);
-        this.stack += '\n Internal ' + err.stack;
+        this.name = 'RskTransactionHelperError';
+        this.code = 'RSK_TRANSACTION_HELPER_ERROR';
+        // Not through the `Error` constructor `cause` option, ignored before Node 16.9
+        if(err) {
+            this.cause = err;
+        }
+    }
+}
+
+class ConfigurationError extends RskTransactionHelperError {
+    constructor(message, err) {
+        super(message, err);
+        this.name = 'ConfigurationError';
+        this.code = 'CONFIGURATION_ERROR';
+    }
+}
+
+class InvalidArgumentError extends RskTransactionHelperError {
+    constructor(message, err) {
+        super(message, err);
+        this.name = 'InvalidArgumentError';
+        this.code = 'INVALID_ARGUMENT_ERROR';
+    }
+}
+
+class ConnectionError extends RskTransactionHelperError {
+    constructor(message, err) {
+        super(message, err);
+        this.name = 'ConnectionError';
+        this.code = 'CONNECTION_ERROR';
+    }
+}
+
+class InsufficientBalanceError extends RskTransactionHelperError {
+    /**
+     * @param {BN} required The balance needed, value plus gas
+     * @param {BN} available The current balance
+     * @param {string} asset What the balance is of, i.e. a token symbol. Optional, RBTC if not provided.
+     */
+    constructor(required, available, asset) {
+        super(`Insufficient ${asset ? `${asset} ` : ''}balance. Required: ${required.toString()}, current balance: ${available.toString()}`);
+        this.name = 'InsufficientBalanceError';
+        this.code = 'INSUFFICIENT_BALANCE_ERROR';
+        this.required = required;
+        this.available = available;
+        this.asset = asset || null;
+    }
+}
+
+class NonceError extends RskTransactionHelperError {
+    constructor(message, err) {
+        super(message, err);
+        this.name = 'NonceError';
+        this.code = 'NONCE_ERROR';
+    }
+}
+
+class TimeoutError extends RskTransactionHelperError {
+    constructor(message, err) {
+        super(message, err);
+        this.name = 'TimeoutError';
+        this.code = 'TIMEOUT_ERROR';
+    }
+}
+
+class RpcError extends RskTransactionHelperError {
+    /**
+     * The JSON-RPC error code returned by the node, i.e. `-32601`, is available as `rpcCode`.
+     * @param {{ code?: number, message: string, data?: any }} rpcError The `error` object of a JSON-RPC response
+     * @param {string} method The JSON-RPC method that failed. Optional, not known for the errors returned through `web3`.
+     * @param {Error} err The error returned by `web3`, if the response went through it. Optional.
+     */
+    constructor(rpcError, method, err) {
+        super(method ? `${method} failed: ${rpcError.message}` : rpcError.message, err);
+        this.name = 'RpcError';
+        this.code = 'RPC_ERROR';
+        this.rpcCode = rpcError.code === undefined ? null : rpcError.code;
+        this.data = rpcError.data === undefined ? null : rpcError.data;
+        this.method = method || null;
+    }
+}
+
+class RetryError extends ConnectionError {
+    /**
+     * @param {string} message
+     * @param {Error[]} errors The error of every failed attempt, in order. The last one is the `cause`.
+     */
+    constructor(message, errors) {
+        super(message, errors[errors.length - 1]);
+        this.name = 'RetryError';
+        this.errors = errors;
+    }
+}
+
+class RevertError extends RskTransactionHelperError {
+    /**
+     * @param {string} message
+     * @param {{ reason: string | null, errorName: string | null, args: Object | null, data: string | null }} revert The decoded revert
+     * @param {Error} err The error returned by the node
+     */
+    constructor(message, revert, err) {
+        super(message, err);
+        this.name = 'RevertError';
+        this.code = 'REVERT_ERROR';
+        this.reason = revert.reason;
+        this.errorName = revert.errorName;
+        this.args = revert.args;
+        this.data = revert.data;
     }
 }
 
 module.exports = RskTransactionHelperError;
+module.exports.ConfigurationError = ConfigurationError;
+module.exports.InvalidArgumentError = InvalidArgumentError;
+module.exports.ConnectionError = ConnectionError;
+module.exports.InsufficientBalanceError = InsufficientBalanceError;
+module.exports.NonceError = NonceError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.RpcError = RpcError;
+module.exports.RetryError = RetryError;
+module.exports.RevertError = RevertError;
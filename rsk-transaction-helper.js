@@ -2,6 +2,32 @@
 const Web3 = require('web3');
 const Tx = require('ethereumjs-tx');
 const RskTransactionHelperException = require('./rsk-transaction-helper-error');
+const NonceManager = require('./nonce-manager');
+const EndpointPool = require('./endpoint-pool');
+const { createProvider, closeProvider, supportsSubscriptions } = require('./providers');
+const { createGasPriceStrategy, resolveGasPrice } = require('./gas-price-strategy');
+const { isRevertError, extractRevertData, decodeRevertData } = require('./revert-decoder');
+const { decodeLogs } = require('./log-decoder');
+const EventWatcher = require('./event-watcher');
+const Token = require('./token');
+const { RIF_TOKEN_ADDRESSES } = Token;
+const { toSigner, MnemonicSigner } = require('./signers');
+const { isValidAddress, toWeb3Address } = require('./address-utils');
+const { createRetryPolicy, getRetryDelay, isRetryableError, isUndeliveredError, isAlreadyKnownError } = require('./retry-policy');
+const Bridge = require('./bridge');
+const { BRIDGE_ADDRESS, PegoutTracker } = Bridge;
+const { getNetworkPreset, REGTEST } = require('./networks');
+const {
+    ConfigurationError,
+    InvalidArgumentError,
+    ConnectionError,
+    InsufficientBalanceError,
+    NonceError,
+    TimeoutError,
+    RpcError,
+    RetryError,
+    RevertError,
+} = RskTransactionHelperException;
 
 const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -9,121 +35,451 @@ const DEFAULT_RSK_CONFIG = {
     hostUrl: 'http://localhost:4444',
     maxAttempts: 1,
     attemptDelay: 1000,
+    validateChecksums: true,
+    gasEstimationMarginPercent: 10,
+    preferHighestBlock: false,
+    healthCheckIntervalMs: 30000,
+    bridgeAddress: BRIDGE_ADDRESS,
 };
 
 const DEFAULT_TRANSFER_GAS_LIMIT = 21000;
 
-const CONNECTION_ERROR_MESSAGE = `CONNECTION ERROR: Couldn't connect to node`;
+const DEFAULT_PEGOUT_GAS_LIMIT = 100000;
+
+// rskj only accepts a transaction replacing a pending one if its gas price is at least 40% higher
+const DEFAULT_GAS_PRICE_BUMP_PERCENT = 40;
+
+const DEFAULT_WAIT_OPTIONS = {
+    confirmations: 1,
+    timeoutMs: 60000,
+    pollIntervalMs: 1000,
+    autoMine: false,
+};
+
+// Rootstock mines a block about every 30 seconds. Default wait timeouts allow twice that per confirmation.
+const AVERAGE_BLOCK_TIME_MS = 30000;
+
+// How much `mine` moves the node time forward before every block, in seconds like `evm_increaseTime` takes it
+const MINED_BLOCK_TIME_INCREASE_SECONDS = 60;
+
+const DEFAULT_SUBSCRIPTION_POLL_INTERVAL_MS = 5000;
+
+const DEFAULT_EVENTS_CHUNK_SIZE = 1000;
+
+// Messages nodes answer `eth_getLogs` with when the range has too many logs to return at once
+const LOGS_LIMIT_ERROR_REGEX = /too many|more than \d+ results|response size|limit exceeded|block range|range is too (large|wide)|query timeout/i;
+
+const checkAddressChecksum = (address, chainId) => {
+    if(!isValidAddress(address, chainId)) {
+        throw new InvalidArgumentError(`Invalid address ${address} for chainId ${chainId}`);
+    }
+};
+
+/**
+ * @param {string} hostUrl An http(s) or ws(s) url, or an IPC socket path
+ * @param {Object} reconnect Reconnection options for websocket and IPC providers
+ * @returns {Web3} A `Web3` client for `hostUrl`, defaulting to `http://` when no protocol is given
+ */
+const createWeb3Client = (hostUrl, reconnect) => {
+    return new Web3(createProvider(hostUrl, reconnect));
+};
+
+/**
+ * @param {ContractSendMethod} call The `ContractSendMethod` where `call = myContract.methods.myMethod()`
+ * @returns {string | null} The lower cased address of the contract the method belongs to, null if it has none
+ */
+const getCallAddress = (call) => {
+    const address = call && call._parent && call._parent.options && call._parent.options.address;
+    return toWeb3Address(address) || null;
+};
+
+/**
+ * @param {ContractSendMethod} call The `ContractSendMethod` where `call = myContract.methods.myMethod()`
+ * @returns {AbiItem[]} The ABI of the contract the method belongs to, used to decode its custom errors
+ */
+const getCallAbi = (call) => (call && call._parent && call._parent.options && call._parent.options.jsonInterface) || [];
+
+/**
+ * @param {Error} error An error returned when broadcasting a transaction
+ * @returns {boolean} true if the node rejected the transaction nonce, i.e. `nonce too low`
+ */
+const isNonceError = error => /nonce/i.test((error && error.message) || '');
+
+/**
+ * Looks into the `cause` too, so the limit error is found when wrapped, i.e. as the last error of a `RetryError`.
+ * @param {Error} error An error returned when getting logs
+ * @returns {boolean} true if the node refused the logs query for its size, i.e. `query returned more than 10000 results`
+ */
+const isLogsLimitError = error => !!error && (LOGS_LIMIT_ERROR_REGEX.test(error.message || '') || isLogsLimitError(error.cause));
+
+/**
+ * Sends a raw JSON-RPC request through `provider`, once.
+ * @param {Object} provider The `web3` provider
+ * @param {{ jsonrpc: string, method: string, params: Array, id: number }} payload
+ * @returns {Promise<any>} The `result` of the response
+ */
+const sendJsonRpcRequest = (provider, payload) => new Promise((resolve, reject) => {
+    provider.send(payload, (error, response) => {
+        if(error) {
+            return reject(error);
+        }
+        if(response && response.error) {
+            return reject(new RpcError(response.error, payload.method));
+        }
+        resolve(response.result);
+    });
+});
+
+const WEB3_NODE_ERROR_PREFIX = 'Returned error: ';
+
+/**
+ * Types the errors of the node and of the connection to it, so they are thrown as a `RskTransactionHelperError`.
+ * The original error is the `cause`, and its message is kept so it can still be told apart, i.e. by `isRevertError`.
+ * @param {Error} error The error of a call to the node
+ * @returns {RskTransactionHelperError} The error itself if it's typed already, a `RpcError` if the node answered
+ * with an error, a `ConnectionError` if it couldn't be reached
+ */
+const toHelperError = (error) => {
+    if(error instanceof RskTransactionHelperException) {
+        return error;
+    }
+    const message = (error && error.message) || String(error);
+    if(message.startsWith(WEB3_NODE_ERROR_PREFIX)) {
+        return new RpcError({ message, data: error.data }, null, error);
+    }
+    if(isRetryableError(error)) {
+        return new ConnectionError(message, error);
+    }
+    return new RskTransactionHelperException(message, error);
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean} true if the error was returned by the node or the connection to it, typed or not by `toHelperError`,
+ * false if it was raised by the helper itself, i.e. a `RevertError` or an `InvalidArgumentError`
+ */
+const isNodeError = error => !(error instanceof RskTransactionHelperException)
+    || error instanceof RpcError
+    || (error instanceof ConnectionError && !(error instanceof RetryError))
+    || error.constructor === RskTransactionHelperException;
+
+const REQUIRED_OFFLINE_TX_PARAMS = ['nonce', 'gasPrice', 'gasLimit'];
+
+/**
+ * Converts `txParams` into the `ethereumjs-tx` raw transaction format, without querying the node.
+ * @param {TransactionParams} txParams
+ * @param {Object} rskConfig Used for the default `chainId` and to know if checksums need to be validated
+ * @returns {Object} The raw transaction
+ */
+const toRawTx = (txParams, rskConfig) => {
+    const chainId = txParams.chainId || rskConfig.chainId;
+    if(!chainId) {
+        throw new ConfigurationError('chainId not provided');
+    }
+    REQUIRED_OFFLINE_TX_PARAMS.forEach(param => {
+        if(txParams[param] === undefined || txParams[param] === null) {
+            throw new InvalidArgumentError(`${param} not provided`);
+        }
+    });
+    if(rskConfig.validateChecksums && txParams.to) {
+        checkAddressChecksum(txParams.to, chainId);
+    }
+    return {
+        nonce: Number(txParams.nonce),
+        gasPrice: Web3.utils.toBN(txParams.gasPrice),
+        gasLimit: Web3.utils.toBN(txParams.gasLimit),
+        to: txParams.to,
+        value: Web3.utils.toBN(txParams.value || '0x00'),
+        data: txParams.data,
+        r: 0,
+        s: 0,
+        v: Number(chainId)
+    };
+};
 
 class RskTransactionHelper {
     
-    constructor(rskConfig) {
-        this.rskConfig = Object.assign({}, DEFAULT_RSK_CONFIG, rskConfig);
-        if(!this.rskConfig.hostUrl || (typeof this.rskConfig.hostUrl !== 'string')) {
-            throw new Error('Invalid host provided');
+    /**
+     * @param {Config} rskConfig When `network` is set, the settings of that network preset are used as defaults,
+     * and anything set explicitly overrides them.
+     */
+    constructor(rskConfig = {}) {
+        const networkPreset = rskConfig.network ? getNetworkPreset(rskConfig.network) : {};
+        this.rskConfig = Object.assign({}, DEFAULT_RSK_CONFIG, networkPreset, rskConfig);
+        const hostUrls = [].concat(this.rskConfig.hostUrl);
+        if(!this.rskConfig.hostUrl || hostUrls.length === 0 || hostUrls.some(hostUrl => !hostUrl || typeof hostUrl !== 'string')) {
+            throw new ConfigurationError('Invalid host provided');
         }
+        this.retryPolicy = createRetryPolicy(this.rskConfig);
+        this.gasPriceStrategy = createGasPriceStrategy(this.rskConfig);
         try {
-            if(this.rskConfig.maxAttempts < 1) {
-                throw new Error('Invalid maxAttempts provided. Must be greater than 0.');
+            this.endpointPool = new EndpointPool(hostUrls, hostUrl => createWeb3Client(hostUrl, this.rskConfig.reconnect), {
+                preferHighestBlock: this.rskConfig.preferHighestBlock,
+                healthCheckTimeoutMs: this.rskConfig.healthCheckTimeoutMs,
+            });
+        } catch (error) {
+            throw new ConfigurationError('Error creating Web3 client', error);
+        }
+        if(this.endpointPool.size > 1 && this.rskConfig.healthCheckIntervalMs > 0) {
+            this.endpointPool.startHealthChecks(this.rskConfig.healthCheckIntervalMs);
+        }
+        this.jsonRpcId = 0;
+        this.subscriptions = new Set();
+        this.replacements = new Map();
+        this.nodeChainIds = new Map();
+        this.tokens = new Map();
+        this.nonceManager = new NonceManager(async address => {
+            return await this.withRetryOnConnectionError(async () => await this.web3Client.eth.getTransactionCount(toWeb3Address(address), 'pending'));
+        });
+    }
+
+    /**
+     * Retry check for requests that must not reach the node twice, i.e. the ones sending transactions or mining.
+     * Only the errors of requests that surely never reached the node are retried.
+     * @param {Error} error The error of the failed attempt
+     * @returns {boolean} Whether the request can be sent again
+     */
+    shouldRetryUndelivered(error) {
+        return isUndeliveredError(error) && this.retryPolicy.shouldRetry(error);
+    }
+
+    /**
+     * Calls `fn` until it succeeds, following the configured retry policy. Only errors accepted by
+     * the policy `shouldRetry` are retried, any other error is thrown right away.
+     * @param {Function} fn The async function to call
+     * @param {{ shouldRetry?: (error: Error) => boolean }} options `shouldRetry` overrides the one of the policy for this call
+     * @returns {Promise<any>} The result of `fn`
+     * @throws {RetryError} If all the attempts failed, carrying the error of each one of them in `errors`
+     */
+    async withRetryOnConnectionError(fn, options = {}) {
+        const { maxAttempts, maxDurationMs } = this.retryPolicy;
+        const shouldRetry = options.shouldRetry || this.retryPolicy.shouldRetry;
+        const startTime = Date.now();
+        const errors = [];
+        for(let attempt = 1; attempt <= maxAttempts; attempt++) {
+            // With several endpoints, each one of them gets a chance before the attempt is considered failed.
+            for(let endpointsTried = 1; ; endpointsTried++) {
+                try {
+                    return await fn();
+                } catch (error) {
+                    if (!shouldRetry(error)) {
+                        throw toHelperError(error);
+                    }
+                    errors.push(error);
+                    this.endpointPool.failover();
+                    if(endpointsTried >= this.endpointPool.size) {
+                        break;
+                    }
+                }
             }
-            let host = this.rskConfig.hostUrl;
-            if(!host.startsWith('http://') && !host.startsWith('https://')){
-                host = `http://${host}`;
+            const delay = getRetryDelay(this.retryPolicy, attempt);
+            if (attempt === maxAttempts || Date.now() - startTime + delay > maxDurationMs) {
+                break;
             }
-            this.web3Client = new Web3(host);
-        } catch (error) {
-            throw new RskTransactionHelperException('Error creating Web3 client', error);
+            await wait(delay);
+        }
+        throw new RetryError(`Failed to execute function after attempting ${errors.length} time(s)`, errors);
+    }
+
+    /**
+     * Calls any JSON-RPC method of the node, i.e. the Rootstock specific `rsk_*`, `fed_*` and `evm_*` ones.
+     * @param {string} method The JSON-RPC method
+     * @param {Array} params The JSON-RPC params. Defaults to none.
+     * @param {{ retry?: boolean, shouldRetry?: (error: Error) => boolean }} options `retry: false` sends the request only once,
+     * `shouldRetry` overrides the one of the retry policy for this request
+     * @returns {Promise<any>} The `result` of the response
+     * @throws {RpcError} If the node responds with a JSON-RPC error, carrying its `code`, `message` and `data`
+     */
+    async rpc(method, params = [], options = {}) {
+        const shouldRetry = options.retry === false ? () => false : options.shouldRetry;
+        return await this.withRetryOnConnectionError(async () => await sendJsonRpcRequest(this.web3Client.currentProvider, {
+            jsonrpc: '2.0',
+            method,
+            params,
+            id: ++this.jsonRpcId,
+        }), { shouldRetry });
+    }
+
+    /**
+     * Returns the chain id transactions are signed for. When `chainId` is not configured, it's taken from the node with
+     * `eth_chainId`. When it is, it's checked against the node before the first transaction is signed, so a transaction
+     * meant for one network is never signed for a node of another one. The node chain id is cached per endpoint.
+     * @returns {Promise<number>} The chain id
+     * @throws {ConfigurationError} If the configured `chainId` doesn't match the node one
+     */
+    async getChainId() {
+        const nodeChainId = await this.getNodeChainId();
+        if(this.rskConfig.chainId && Number(this.rskConfig.chainId) !== nodeChainId) {
+            throw new ConfigurationError(`Configured chainId ${this.rskConfig.chainId} does not match the chainId ${nodeChainId} of the node at ${this.getCurrentHostUrl()}`);
+        }
+        return nodeChainId;
+    }
+
+    /**
+     * @returns {Promise<number>} The `eth_chainId` of the current endpoint, fetched once per endpoint
+     */
+    async getNodeChainId() {
+        const cachedChainId = this.nodeChainIds.get(this.getCurrentHostUrl());
+        if(cachedChainId !== undefined) {
+            return cachedChainId;
+        }
+        return await this.withRetryOnConnectionError(async () => {
+            const nodeChainId = Number(await this.web3Client.eth.getChainId());
+            this.nodeChainIds.set(this.getCurrentHostUrl(), nodeChainId);
+            return nodeChainId;
+        });
+    }
+
+    /**
+     * Builds an unsigned transaction without querying the node. Useful to prepare transactions to be signed offline.
+     * @param {TransactionParams} txParams The `nonce`, `gasPrice` and `gasLimit` are required. `chainId` defaults to the configured one.
+     * @returns {string} The serialized unsigned transaction
+     */
+    buildTransaction(txParams) {
+        const tx = new Tx(toRawTx(txParams, this.rskConfig));
+        return '0x' + tx.serialize().toString('hex');
+    }
+
+    /**
+     * Builds and signs a transaction without querying the node, i.e. on an air-gapped machine.
+     * The result can be sent later on with `broadcastRawTransaction`.
+     * @param {TransactionParams} txParams The `nonce`, `gasPrice` and `gasLimit` are required. `chainId` defaults to the configured one.
+     * @param {string | Signer} senderPrivateKey The `from` address private key, or a `Signer` for it, to sign the transaction
+     * @returns {string} The serialized signed transaction
+     */
+    async signTransaction(txParams, senderPrivateKey) {
+        const rawTx = toRawTx(txParams, this.rskConfig);
+        const signer = toSigner(senderPrivateKey);
+        if(txParams.from && signer.address.toLowerCase() !== txParams.from.toLowerCase()) {
+            throw new InvalidArgumentError(`Signer address ${signer.address} does not match sender address ${txParams.from}`);
         }
+        return await signer.signTransaction(rawTx);
     }
 
-    async withRetryOnConnectionError(fn) {
-        let attempts = 0;
-        const maxAttempts = this.rskConfig.maxAttempts;
-        while(attempts < maxAttempts) {
+    /**
+     * Sends an already signed transaction to the network. Retries, and failing over to another endpoint,
+     * send this same signed transaction again, so it can't end up duplicated.
+     * @param {string} rawTransaction The serialized signed transaction, as returned by `signTransaction`
+     * @returns {string} The transaction hash
+     */
+    async broadcastRawTransaction(rawTransaction) {
+        const txHash = this.web3Client.utils.sha3(rawTransaction);
+        let attempted = false;
+        const sendSignedTransaction = async () => {
+            if(attempted) {
+                // A failed attempt may still have reached the node. Not sending it again if it's already there.
+                const tx = await this.web3Client.eth.getTransaction(txHash);
+                if(tx) {
+                    return txHash;
+                }
+            }
+            attempted = true;
             try {
-                return await fn();
+                return await new Promise((resolve, reject) => {
+                    this.web3Client.eth.sendSignedTransaction(rawTransaction)
+                        .once('transactionHash', resolve)
+                        .once('error', reject);
+                });
             } catch (error) {
-                // Only retrying if the error is a connection error.
-                if (!error.message.includes(CONNECTION_ERROR_MESSAGE)) {
-                    throw error;
+                if(isAlreadyKnownError(error)) {
+                    return txHash;
                 }
-                await wait(this.rskConfig.attemptDelay);
+                throw error;
+            }
+        };
+        return await this.withRetryOnConnectionError(sendSignedTransaction);
+    }
+
+    /**
+     * Builds a transaction from `txParams`, filling the nonce, gas price and gas limit when needed, signs it with
+     * `senderPrivateKey` and broadcasts it. Every send method in this class goes through here.
+     * @param {string} senderAddress The `from` address in the transaction
+     * @param {string | Signer} senderPrivateKey The `from` address private key, or a `Signer` for it, to sign the transaction
+     * @param {{ to?: string, data?: string, value?: number }} txParams
+     * @param {{ gasPrice?: number, gasLimit?: number }} gasOptions
+     * @returns {SendTransactionResult} The transaction hash along with everything that was signed and sent
+     */
+    async buildSignAndBroadcast(senderAddress, senderPrivateKey, txParams, gasOptions = {}) {
+        const chainId = await this.getChainId();
+        if(this.rskConfig.validateChecksums) {
+            checkAddressChecksum(senderAddress, chainId);
+            // Contract creations have no `to`
+            if(txParams.to) {
+                checkAddressChecksum(txParams.to, chainId);
+            }
+        }
+        const signer = toSigner(senderPrivateKey);
+        if(signer.address.toLowerCase() !== senderAddress.toLowerCase()) {
+            throw new InvalidArgumentError(`Signer address ${signer.address} does not match sender address ${senderAddress}`);
+        }
+        try {
+            // Estimating before taking a nonce, a transaction that would revert is never signed
+            const gasLimit = gasOptions.gasLimit
+                ? this.web3Client.utils.toBN(gasOptions.gasLimit)
+                : await this.estimateGasLimit({ from: senderAddress, to: txParams.to, value: txParams.value, data: txParams.data });
+            const nonce = await this.nonceManager.next(senderAddress);
+            try {
+                const { gasPrice, strategy: gasPriceStrategy } = await this.getGasPriceForSend(gasOptions);
+
+                const rawTransaction = await this.signTransaction(Object.assign({}, txParams, { nonce, gasPrice, gasLimit, chainId }), signer);
+
+                const hash = await this.broadcastRawTransaction(rawTransaction);
+
+                return {
+                    hash,
+                    nonce,
+                    gasPrice,
+                    gasLimit,
+                    rawTransaction,
+                    from: senderAddress,
+                    gasPriceStrategy,
+                };
+            } catch (error) {
+                // The nonce was not used, resyncing with the node for the next transaction.
+                this.nonceManager.reset(senderAddress);
+                throw error;
+            }
+        } catch (error) {
+            if(!isNodeError(error)) {
+                throw error;
+            }
+            if(isNonceError(error)) {
+                throw new NonceError('Error signing and sending transaction', error);
             }
-            attempts++;
+            throw new RskTransactionHelperException('Error signing and sending transaction', error);
         }
-        throw new Error(`Failed to execute function after attempting ${maxAttempts} time(s)`);
     }
 
     /**
      * Creates a transaction with the provided parameters, signs and sends it.
      * @param {string} senderAddress The `from` address in the transaction
-     * @param {string} senderPrivateKey The `from` address private key to sign the transaction
-     * @param {BN} gasPrice
-     * @param {BN} gasLimit 
+     * @param {string | Signer} senderPrivateKey The `from` address private key, or a `Signer` for it, to sign the transaction
      * @param {string} destinationAddress The `to` address in the transaction
      * @param {string} callData The `data` to be sent in the transaction
      * @param {number} value The `value` in wei to be sent in the transaction
-     * @param {{ gasPrice: number, gasLimit: number }} gasOptions
-     * @returns {string} The transaction hash
+     * @param {{ gasPrice?: number, gasLimit?: number }} gasOptions
+     * @returns {SendTransactionResult} The transaction hash along with everything that was signed and sent
      */
-    async signAndSendTransaction(senderAddress, senderPrivateKey, destinationAddress, callData, value, gasOptions) {
-        if(!this.rskConfig.chainId) {
-            throw new Error('chainId not provided');
-        }
-        try {
-            const privateKey = Buffer.from(senderPrivateKey, 'hex');
-            const transactionCount = await this.withRetryOnConnectionError(async () => await this.web3Client.eth.getTransactionCount(senderAddress, 'pending'));
-            const gasPrice = gasOptions.gasPrice ? this.web3Client.utils.toBN(gasOptions.gasPrice) : await this.getGasPrice();
-            const gasLimit = gasOptions.gasLimit ? this.web3Client.utils.toBN(gasOptions.gasLimit) : this.web3Client.utils.toBN(DEFAULT_TRANSFER_GAS_LIMIT);
-            const rawTx = {
-                nonce: transactionCount,
-                gasPrice,
-                gasLimit,
-                to: destinationAddress,
-                value: this.web3Client.utils.toBN(value || '0x00'),
-                data: callData,
-                r: 0,
-                s: 0,
-                v: this.rskConfig.chainId
-            }
-    
-            const tx = new Tx(rawTx);
-            tx.sign(privateKey);
-    
-            const serializedTx = tx.serialize();
-    
-            const sendSignedTransaction = () => {
-                return new Promise((resolve, reject) => {
-                    this.web3Client.eth.sendSignedTransaction('0x' + serializedTx.toString('hex'))
-                        .once('transactionHash', resolve)
-                        .once('error', reject);
-                });
-            };
-
-            return await this.withRetryOnConnectionError(sendSignedTransaction);
-                    
-        } 
-        catch (error) {
-            throw new RskTransactionHelperException('Error on signAndSendTransaction', error);
-        }
-    } 
+    async signAndSendTransaction(senderAddress, senderPrivateKey, destinationAddress, callData, value, gasOptions = {}) {
+        return await this.buildSignAndBroadcast(senderAddress, senderPrivateKey, { to: destinationAddress, data: callData, value }, gasOptions);
+    }
 
     /**
      * Checks if the caller's balance is enough to invoke the `call` function. If so, creates a transaction
      * with the provided parameters, signs and sends it.
      * @param {ContractSendMethod} call The `ContractSendMethod` where `call = myContract.methods.myMethod()`
      * @param {string} senderAddress The `from` address in the transaction
-     * @param {string} senderPrivateKey The `from` address private key to sign the transaction
+     * @param {string | Signer} senderPrivateKey The `from` address private key, or a `Signer` for it, to sign the transaction
      * @param {string} destinationAddress The `to` address in the transaction
      * @param {number} estimatedGasPercentIncrement The percentage by which we estimate the gas will increment. Defaults to 10
-     * @returns {string} The transaction hash
+     * @returns {SendTransactionResult} The transaction hash along with everything that was signed and sent
      */
     async signAndSendTransactionCheckingBalance(call, senderAddress, senderPrivateKey, destinationAddress, estimatedGasPercentIncrement = 10) {
         // Check sender address has enough balance
         const checkBalance = await this.withRetryOnConnectionError(async () => await this.checkBalanceForCall(call, senderAddress));
 
         if (!checkBalance.isEnough) {
-            throw new Error(`Insufficient balance. Required: ${checkBalance.requiredBalance.toString()}, current balance: ${checkBalance.callerBalance.toString()}`);
+            throw new InsufficientBalanceError(checkBalance.requiredBalance, checkBalance.callerBalance);
         }
 
         const gasIncrement = 100 + estimatedGasPercentIncrement;
@@ -131,91 +487,263 @@ class RskTransactionHelper {
         // Add a 10% increment
         const gasLimit = checkBalance.estimatedGas.mul(this.web3Client.utils.toBN(gasIncrement.toString())).div(this.web3Client.utils.toBN('100'));
 
-        // Sign and send raw transaction
-        return await this.withRetryOnConnectionError(async () => {
-            return await this.signAndSendTransaction(
-                senderAddress, 
-                senderPrivateKey, 
-                checkBalance.gasPrice, 
-                gasLimit,
-                destinationAddress, 
-                call.encodeABI()
-            );
-        });
+        // Sign and send raw transaction. Not retrying here, the broadcast is already retried without signing again.
+        return await this.signAndSendTransaction(
+            senderAddress, 
+            senderPrivateKey, 
+            destinationAddress, 
+            call.encodeABI(),
+            0,
+            { gasPrice: checkBalance.gasPrice, gasLimit }
+        );
     }
 
     /**
-     * Transfers funds from one address to the other. Using the `senderPrivateKey` to sign the transaction.
-     * @param {string} senderAddress The `from` address in the transaction
-     * @param {string} senderPrivateKey The `from` address private key to sign the transaction
-     * @param {string} destinationAddress The `to` address in the transaction
-     * @param {number} value The `value` in wei to be sent in the transaction
-     * @param {{ gasPrice?: number, gasLimit?: number }} gasOptions 
-     * @returns {string} The transaction hash
+     * Sends a transaction calling a contract method, to the address of the contract `call` was created from.
+     * Checks first that the signer balance covers the `value` plus the gas.
+     * @param {ContractSendMethod} call The `ContractSendMethod` where `call = myContract.methods.myMethod()`
+     * @param {string | Signer} signer The sender private key, or a `Signer` for it
+     * @param {{ value?: number | string | BN, gasOptions?: { gasPrice?: number, gasLimit?: number }, waitFor?: boolean | Object }} options
+     * `value` is the amount of wei sent to payable methods. When `waitFor` is set, waits for the receipt, with `waitFor` as
+     * the `waitForReceipt` options if it's an object.
+     * @returns {Promise<SendTransactionResult | TransactionReceipt>} The send result, or the receipt with the contract events
+     * decoded in `events` when waiting for it
+     * @throws {InsufficientBalanceError} If the signer balance is not enough
+     * @throws {RevertError} If the transaction would revert, or did when waiting for it
      */
-    async transferFunds(senderAddress, senderPrivateKey, destinationAddress, value, gasOptions = {}) {
-        if(!this.rskConfig.chainId) {
-            throw new Error('chainId not provided');
-        }
-        const privateKey = Buffer.from(senderPrivateKey, 'hex');
-        const transactionCount = await this.withRetryOnConnectionError(async () => await this.web3Client.eth.getTransactionCount(senderAddress, 'pending'));
-        const gasPrice = gasOptions.gasPrice ? this.web3Client.utils.toBN(gasOptions.gasPrice) : await this.getGasPrice();
-        const gasLimit = gasOptions.gasLimit ? this.web3Client.utils.toBN(gasOptions.gasLimit) : this.web3Client.utils.toBN(DEFAULT_TRANSFER_GAS_LIMIT);
-        const rawTx = {
-            nonce: transactionCount,
-            gasPrice,
-            gasLimit,
-            to: destinationAddress,
-            value: this.web3Client.utils.toBN(value || '0x00'),
-            r: 0,
-            s: 0,
-            v: this.rskConfig.chainId
+    async sendContractMethod(call, signer, options = {}) {
+        const { value = 0, gasOptions = {}, waitFor } = options;
+        const to = getCallAddress(call);
+        if(!to) {
+            throw new InvalidArgumentError('The contract of the method call has no address');
         }
+        const sender = toSigner(signer);
+        const abi = getCallAbi(call);
+        const data = call.encodeABI();
+        const valueBn = this.web3Client.utils.toBN(value);
 
-        const tx = new Tx(rawTx);
-        tx.sign(privateKey);
+        const gasLimit = gasOptions.gasLimit
+            ? this.web3Client.utils.toBN(gasOptions.gasLimit)
+            : await this.estimateGasLimit({ from: sender.address, to, value: valueBn, data }, abi);
+        const { gasPrice, strategy: gasPriceStrategy } = await this.getGasPriceForSend(gasOptions);
+        const balance = await this.getBalance(sender.address);
+        const requiredBalance = valueBn.add(gasLimit.mul(gasPrice));
+        if(requiredBalance.gt(balance)) {
+            throw new InsufficientBalanceError(requiredBalance, balance);
+        }
 
-        const serializedTx = tx.serialize();
+        const result = await this.buildSignAndBroadcast(sender.address, sender, { to, data, value: valueBn }, { gasPrice, gasLimit });
+        Object.assign(result, { gasPriceStrategy });
+        if(!waitFor) {
+            return result;
+        }
 
-        const sendSignedTransaction = () => {
-            return new Promise((resolve, reject) => {
-                this.web3Client.eth.sendSignedTransaction('0x' + serializedTx.toString('hex'))
-                    .once('transactionHash', resolve)
-                    .once('error', reject);
+        const receipt = await this.waitForReceipt(result.hash, typeof waitFor === 'object' ? waitFor : {});
+        if(!receipt.status) {
+            const revert = await this.getRevertReason(result.hash, abi);
+            const reason = revert && revert.reason ? `: ${revert.reason}` : '';
+            throw new RevertError(`Transaction ${result.hash} reverted${reason}`, revert || decodeRevertData(null, this.web3Client.eth.abi));
+        }
+        return Object.assign({}, receipt, { events: decodeLogs(receipt.logs || [], abi, this.web3Client.eth.abi, to) });
+    }
+
+    /**
+     * Calls a contract method with `eth_call`, without sending a transaction.
+     * @param {ContractSendMethod | () => ContractSendMethod} call The `ContractSendMethod` where `call = myContract.methods.myMethod()`,
+     * or a function building it. A `ContractSendMethod` is bound to the client of its contract, so a function building
+     * it from `getClient()` lets retries after a failover reach the new endpoint.
+     * @param {{ blockTag?: number | string, from?: string }} options The block to run the call at, `latest` by default
+     * @returns {Promise<any>} The decoded outputs of the method: the value itself for a single output, an object otherwise
+     * @throws {RevertError} If the call reverts, with the decoded revert reason
+     */
+    async callContractMethod(call, options = {}) {
+        const { blockTag = 'latest', from } = options;
+        const callOptions = from ? { from } : {};
+        const buildCall = typeof call === 'function' ? call : () => call;
+        let lastCall = null;
+        try {
+            return await this.withRetryOnConnectionError(async () => {
+                lastCall = buildCall();
+                return await lastCall.call(callOptions, blockTag);
             });
-        };
+        } catch (error) {
+            if(isRevertError(error)) {
+                throw this.toRevertError('Call failed', error, getCallAbi(lastCall));
+            }
+            throw error;
+        }
+    }
 
-        return await this.withRetryOnConnectionError(sendSignedTransaction);
+    /**
+     * Transfers funds from one address to the other. Using the `senderPrivateKey` to sign the transaction.
+     * @param {string} senderAddress The `from` address in the transaction
+     * @param {string | Signer} senderPrivateKey The `from` address private key, or a `Signer` for it, to sign the transaction
+     * @param {string} destinationAddress The `to` address in the transaction
+     * @param {number} value The `value` in wei to be sent in the transaction
+     * @param {{ gasPrice?: number, gasLimit?: number }} gasOptions 
+     * @returns {SendTransactionResult} The transaction hash along with everything that was signed and sent
+     */
+    async transferFunds(senderAddress, senderPrivateKey, destinationAddress, value, gasOptions = {}) {
+        return await this.buildSignAndBroadcast(senderAddress, senderPrivateKey, { to: destinationAddress, value }, gasOptions);
     }
 
     /**
      * Checks if the caller's balance is enough to transfer the specified `value`. If so, it sends the balances to the `destinationAddress`.
      * @param {string} senderAddress The `from` address in the transaction
-     * @param {string} senderPrivateKey The `from` address private key to sign the transaction
+     * @param {string | Signer} senderPrivateKey The `from` address private key, or a `Signer` for it, to sign the transaction
      * @param {string} destinationAddress The `to` address in the transaction
      * @param {number} value The `value` in wei to be sent in the transaction
      * @param {{ gasPrice?: number, gasLimit?: number }} gasOptions 
-     * @returns {string} The transaction hash
+     * @returns {SendTransactionResult} The transaction hash along with everything that was signed and sent
      */
     async transferFundsCheckingBalance(senderAddress, senderPrivateKey, destinationAddress, value, gasOptions = {}) {
         const balance = await this.getBalance(senderAddress);
-        const gasPrice = gasOptions.gasPrice ? this.web3Client.utils.toBN(gasOptions.gasPrice) : await this.getGasPrice();
-        const gasLimit = gasOptions.gasLimit ? this.web3Client.utils.toBN(gasOptions.gasLimit) : this.web3Client.utils.toBN(DEFAULT_TRANSFER_GAS_LIMIT);
+        const { gasPrice, strategy: gasPriceStrategy } = await this.getGasPriceForSend(gasOptions);
+        const gasLimit = gasOptions.gasLimit
+            ? this.web3Client.utils.toBN(gasOptions.gasLimit)
+            : await this.estimateGasLimit({ from: senderAddress, to: destinationAddress, value });
         value = this.web3Client.utils.toBN(value);
         const requiredBalance = value.add(gasLimit.mul(gasPrice));
         if (requiredBalance.gt(balance)) {
-            throw new Error(`Insufficient balance. Required: ${requiredBalance.toString()}, current balance: ${balance.toString()}`);
+            throw new InsufficientBalanceError(requiredBalance, balance);
+        }
+        const result = await this.transferFunds(senderAddress, senderPrivateKey, destinationAddress, value, { gasPrice, gasLimit });
+        return Object.assign(result, { gasPriceStrategy });
+    }
+
+    /**
+     * Sends `valueInWei` to the Bridge to be released as BTC to the sender.
+     * The Bridge doesn't expose its minimum peg-out value, so the value is only checked against `minimumPegoutValueInWei`
+     * when provided. Otherwise a value below the Bridge minimum is reported by the `release_request_rejected` event,
+     * see `PegoutTracker.getRequestEvent`.
+     * @param {string | Signer} senderSigner The sender private key, or a `Signer` for it
+     * @param {number | string | BN} valueInWei The amount of RBTC to peg out, in wei
+     * @param {{ gasOptions?: { gasPrice?: number, gasLimit?: number }, minimumPegoutValueInWei?: number | string | BN }} options
+     * @returns {PegoutTracker} A tracker to follow the release
+     */
+    async pegout(senderSigner, valueInWei, options = {}) {
+        const signer = toSigner(senderSigner);
+        const value = this.web3Client.utils.toBN(valueInWei);
+        if(value.lten(0)) {
+            throw new InvalidArgumentError(`Invalid peg-out value provided: ${value.toString()}. Needs to be greater than 0.`);
+        }
+        if(options.minimumPegoutValueInWei !== undefined) {
+            const minimumPegoutValue = this.web3Client.utils.toBN(options.minimumPegoutValueInWei);
+            if(value.lt(minimumPegoutValue)) {
+                throw new InvalidArgumentError(`Peg-out value ${value.toString()} is below the minimum of ${minimumPegoutValue.toString()} wei`);
+            }
         }
-        return this.transferFunds(senderAddress, senderPrivateKey, destinationAddress, value, gasPrice);
+        const gasOptions = Object.assign({ gasLimit: DEFAULT_PEGOUT_GAS_LIMIT }, options.gasOptions);
+        const sendResult = await this.transferFunds(signer.address, signer, this.rskConfig.bridgeAddress, value, gasOptions);
+        return new PegoutTracker(this, sendResult);
+    }
+
+    /**
+     * Replaces a pending transaction with the same one paying a higher gas price, so it gets mined sooner.
+     * @param {string} txHash The hash of the pending transaction
+     * @param {string | Signer} signer The private key of the transaction sender, or a `Signer` for it
+     * @param {{ gasPriceBumpPercent?: number }} options How much to increase the gas price, in percent. Defaults to 40, the minimum rskj accepts.
+     * @returns {SendTransactionResult} The replacement transaction, with the hash of the transaction it replaces in `replacedHash`
+     */
+    async speedUp(txHash, signer, options = {}) {
+        return await this.replaceTransaction(txHash, signer, tx => ({
+            to: toWeb3Address(tx.to),
+            value: tx.value,
+            data: tx.input,
+            gasLimit: tx.gas,
+        }), options.gasPriceBumpPercent);
+    }
+
+    /**
+     * Replaces a pending transaction with a 0 value transfer from the sender to itself, paying a higher gas price.
+     * Once mined, the original transaction can't be mined anymore.
+     * @param {string} txHash The hash of the pending transaction
+     * @param {string | Signer} signer The private key of the transaction sender, or a `Signer` for it
+     * @param {{ gasPriceBumpPercent?: number }} options How much to increase the gas price, in percent. Defaults to 40, the minimum rskj accepts.
+     * @returns {SendTransactionResult} The replacement transaction, with the hash of the transaction it replaces in `replacedHash`
+     */
+    async cancel(txHash, signer, options = {}) {
+        return await this.replaceTransaction(txHash, signer, tx => ({
+            to: toWeb3Address(tx.from),
+            value: 0,
+            gasLimit: DEFAULT_TRANSFER_GAS_LIMIT,
+        }), options.gasPriceBumpPercent);
+    }
+
+    async replaceTransaction(txHash, signer, buildTxParams, gasPriceBumpPercent = DEFAULT_GAS_PRICE_BUMP_PERCENT) {
+        if(!(gasPriceBumpPercent > 0)) {
+            throw new InvalidArgumentError('Invalid gasPriceBumpPercent provided. Must be greater than 0.');
+        }
+        const tx = await this.getTransaction(txHash);
+        if(!tx) {
+            throw new InvalidArgumentError(`Transaction ${txHash} not found`);
+        }
+        if(tx.blockNumber !== null && tx.blockNumber !== undefined) {
+            throw new InvalidArgumentError(`Transaction ${txHash} is already mined in block ${tx.blockNumber}`);
+        }
+        const txSigner = toSigner(signer);
+        if(txSigner.address.toLowerCase() !== tx.from.toLowerCase()) {
+            throw new InvalidArgumentError(`Signer address ${txSigner.address} does not match sender address ${tx.from}`);
+        }
+        const { toBN } = this.web3Client.utils;
+        // Rounding up, a gas price even 1 wei below the required bump is rejected
+        const bumpedGasPrice = toBN(tx.gasPrice).muln(100 + gasPriceBumpPercent).addn(99).divn(100);
+        const { gasPrice: networkGasPrice } = await this.resolveGasPrice();
+        const gasPrice = bumpedGasPrice.gt(networkGasPrice) ? bumpedGasPrice : networkGasPrice;
+        const chainId = await this.getChainId();
+        const txParams = Object.assign(buildTxParams(tx), { nonce: tx.nonce, gasPrice, chainId });
+
+        const rawTransaction = await this.signTransaction(txParams, txSigner);
+        const hash = await this.broadcastRawTransaction(rawTransaction);
+
+        const replacements = this.replacements.get(txHash) || [txHash];
+        replacements.push(hash);
+        replacements.forEach(replacementHash => this.replacements.set(replacementHash, replacements));
+
+        return {
+            hash,
+            nonce: tx.nonce,
+            gasPrice,
+            gasLimit: toBN(txParams.gasLimit),
+            rawTransaction,
+            from: tx.from,
+            replacedHash: txHash,
+        };
+    }
+
+    /**
+     * @param {string} txHash The hash of a transaction sent, replaced or being a replacement through `speedUp` or `cancel`
+     * @returns {string[]} Every hash sent with the same nonce, in the order they were sent. Only one of them can get mined.
+     */
+    getTransactionReplacements(txHash) {
+        return (this.replacements.get(txHash) || [txHash]).slice();
+    }
+
+    /**
+     * @param {string} txHash
+     * @returns {Promise<Transaction | null>} The transaction, or null if the node doesn't know it
+     */
+    async getTransaction(txHash) {
+        return await this.withRetryOnConnectionError(async () => await this.web3Client.eth.getTransaction(txHash));
+    }
+
+    /**
+     * Discards the locally tracked nonce of `address`, so the next transaction takes it from the node again.
+     * Useful when transactions of the same account are sent or dropped outside of this helper.
+     * @param {string} address The address to reset. Resets every address if not provided.
+     * @returns {void}
+     */
+    resetNonce(address) {
+        this.nonceManager.reset(address);
     }
 
     /**
      * Gets the current balances of the specified `address`
-     * @param {string} address 
+     * @param {string} address In lower case, or EIP-1191 checksummed for the chain
      * @returns {BN} The balance of this address
      */
     async getBalance(address) {
-        const balance = await this.withRetryOnConnectionError(async () => await this.web3Client.eth.getBalance(address));
+        const balance = await this.withRetryOnConnectionError(async () => await this.web3Client.eth.getBalance(toWeb3Address(address)));
         return this.web3Client.utils.toBN(balance);
     }
 
@@ -229,6 +757,86 @@ class RskTransactionHelper {
         return gasPriceBn.isZero() ? this.web3Client.utils.toBN('1') : gasPriceBn;
     }
 
+    /**
+     * Gets the `minimumGasPrice` of the latest block. Transactions paying less are rejected by Rootstock nodes.
+     * @returns {BN} The minimum gas price, 0 if the node doesn't report it
+     */
+    async getMinimumGasPrice() {
+        const block = await this.getBlock('latest');
+        return this.web3Client.utils.toBN((block && block.minimumGasPrice) || '0');
+    }
+
+    /**
+     * Resolves the gas price following the configured `gasPriceStrategy`. Every send method uses it when no gas price is given.
+     * The result is never below the `minimumGasPrice` of the latest block.
+     * @returns {Promise<{ gasPrice: BN, strategy: string, minimumGasPrice: BN }>} The gas price, the strategy used and the block minimum
+     */
+    async resolveGasPrice() {
+        return await resolveGasPrice(this.gasPriceStrategy, {
+            getNodeGasPrice: () => this.getGasPrice(),
+            getMinimumGasPrice: () => this.getMinimumGasPrice(),
+            rskTransactionHelper: this,
+        });
+    }
+
+    /**
+     * Estimates the gas limit of a transaction with `eth_estimateGas`, adding `gasEstimationMarginPercent` on top of it.
+     * Plain transfers, estimated at exactly 21000, need no margin. The result never exceeds the latest block gas limit.
+     * @param {{ from: string, to?: string, value?: number | string | BN, data?: string }} txConfig
+     * @param {AbiItem[]} abi The ABI declaring the custom errors the transaction may revert with. Optional.
+     * @returns {Promise<BN>} The gas limit
+     * @throws {RevertError} If the transaction would revert, with the decoded revert reason
+     */
+    async estimateGasLimit(txConfig, abi) {
+        const { toBN } = this.web3Client.utils;
+        const web3TxConfig = Object.assign({}, txConfig, { from: toWeb3Address(txConfig.from) }, txConfig.to ? { to: toWeb3Address(txConfig.to) } : {});
+        let estimatedGas;
+        try {
+            estimatedGas = toBN(await this.withRetryOnConnectionError(async () => await this.web3Client.eth.estimateGas(web3TxConfig)));
+        } catch (error) {
+            if(isRevertError(error)) {
+                throw this.toRevertError('Gas estimation failed', error, abi);
+            }
+            throw error;
+        }
+        if(estimatedGas.eqn(DEFAULT_TRANSFER_GAS_LIMIT)) {
+            return estimatedGas;
+        }
+        const block = await this.getBlock('latest');
+        const blockGasLimit = toBN(block.gasLimit);
+        if(estimatedGas.gt(blockGasLimit)) {
+            throw new InvalidArgumentError(`Estimated gas ${estimatedGas.toString()} exceeds the block gas limit ${blockGasLimit.toString()}`);
+        }
+        const gasLimit = estimatedGas.muln(100 + this.rskConfig.gasEstimationMarginPercent).addn(99).divn(100);
+        return gasLimit.gt(blockGasLimit) ? blockGasLimit : gasLimit;
+    }
+
+    /**
+     * @param {string} message What failed, i.e. `Gas estimation failed`
+     * @param {Error} error The revert error returned by the node
+     * @param {AbiItem[]} abi The ABI declaring the custom errors to decode. Optional.
+     * @returns {RevertError} The error with the revert reason decoded
+     */
+    toRevertError(message, error, abi) {
+        const revert = decodeRevertData(extractRevertData(error), this.web3Client.eth.abi, abi);
+        const reason = revert.reason ? `: ${revert.reason}` : '';
+        return new RevertError(`${message}: execution reverted${reason}`, revert, error);
+    }
+
+    /**
+     * @param {{ gasPrice?: number | string | BN }} gasOptions
+     * @returns {Promise<{ gasPrice: BN, strategy: string, minimumGasPrice: BN }>} The explicit `gasPrice` if given, the one
+     * of the `gasPriceStrategy` otherwise. Raised to the `minimumGasPrice` of the latest block in both cases.
+     */
+    async getGasPriceForSend(gasOptions) {
+        if(gasOptions.gasPrice) {
+            const gasPrice = this.web3Client.utils.toBN(gasOptions.gasPrice);
+            const minimumGasPrice = await this.getMinimumGasPrice();
+            return { gasPrice: gasPrice.lt(minimumGasPrice) ? minimumGasPrice : gasPrice, strategy: 'explicit', minimumGasPrice };
+        }
+        return await this.resolveGasPrice();
+    }
+
     /**
      * Checks the estimated gas of the `call` method, the gas price and the caller's current balance.
      * @param {ContractSendMethod} call The `ContractSendMethod` where `call = myContract.methods.myMethod()`
@@ -236,9 +844,17 @@ class RskTransactionHelper {
      * @returns {BalanceForCallResponse} The balance information that shows if the balance is enough to invoke the method `call`
      */
     async checkBalanceForCall(call, callerAddress) {
-        const estimatedGas = await this.withRetryOnConnectionError(async () => await call.estimateGas());
+        let estimatedGas;
+        try {
+            estimatedGas = await this.withRetryOnConnectionError(async () => await call.estimateGas());
+        } catch (error) {
+            if(isRevertError(error)) {
+                throw this.toRevertError('Gas estimation failed', error, getCallAbi(call));
+            }
+            throw error;
+        }
         const estimatedGasBn = this.web3Client.utils.toBN(estimatedGas);
-        const gasPrice = await this.getGasPrice();
+        const { gasPrice } = await this.resolveGasPrice();
 
         const requiredBalance = estimatedGasBn.mul(gasPrice);
         const callerBalance = await this.getBalance(callerAddress);
@@ -252,6 +868,143 @@ class RskTransactionHelper {
         };
     }
 
+    /**
+     * Finds out why a mined transaction failed, replaying it with `eth_call` at its block.
+     * Decodes `Error(string)`, `Panic(uint256)` and the custom errors declared in `abi`.
+     * @param {string} txHash The hash of the failed transaction
+     * @param {AbiItem[]} abi The ABI of the called contract, to decode its custom errors. Optional.
+     * @returns {Promise<DecodedRevert | null>} The decoded revert, or null if the transaction didn't fail.
+     * `reason` is null if the revert couldn't be reproduced or decoded.
+     */
+    async getRevertReason(txHash, abi = []) {
+        const tx = await this.getTransaction(txHash);
+        if(!tx) {
+            throw new InvalidArgumentError(`Transaction ${txHash} not found`);
+        }
+        if(tx.blockNumber === null || tx.blockNumber === undefined) {
+            throw new InvalidArgumentError(`Transaction ${txHash} is not mined yet`);
+        }
+        const receipt = await this.getTxReceipt(txHash);
+        if(receipt && receipt.status) {
+            return null;
+        }
+        const callConfig = { from: tx.from, to: tx.to, data: tx.input, value: tx.value, gas: tx.gas, gasPrice: tx.gasPrice };
+        const abiCoder = this.web3Client.eth.abi;
+        try {
+            const result = await this.withRetryOnConnectionError(async () => await this.web3Client.eth.call(callConfig, tx.blockNumber));
+            // Some nodes return the revert data as the call result instead of an error
+            const revert = decodeRevertData(result, abiCoder, abi);
+            return revert.errorName ? revert : decodeRevertData(null, abiCoder);
+        } catch (error) {
+            if(!isRevertError(error)) {
+                throw error;
+            }
+            return decodeRevertData(extractRevertData(error), abiCoder, abi);
+        }
+    }
+
+    /**
+     * Gets the logs of `abi` events in a block range, decoded. Wide ranges are queried in chunks of `chunkSize` blocks,
+     * halving the chunk size whenever the node refuses to return that many logs at once.
+     * @param {{ address?: string | string[], abi: AbiItem[], eventName?: string, filter?: Object, fromBlock?: number | string, toBlock?: number | string, chunkSize?: number }} eventsOptions
+     * `filter` matches the indexed parameters of `eventName` by name, i.e. `{ from: [address1, address2] }`. Without `eventName`
+     * every event of `abi` is returned. The range defaults to `0` - `latest`, both included.
+     * @returns {Promise<DecodedEvent[]>} The decoded events, sorted by block number and log index
+     */
+    async getEvents({ address, abi, eventName, filter, fromBlock = 0, toBlock = 'latest', chunkSize = DEFAULT_EVENTS_CHUNK_SIZE }) {
+        if(!Array.isArray(abi)) {
+            throw new InvalidArgumentError('Invalid abi provided. Expected an array.');
+        }
+        if(!(chunkSize >= 1)) {
+            throw new InvalidArgumentError('Invalid `chunkSize` provided. Needs to be greater than 0 if provided.');
+        }
+        const eventAbis = eventName ? abi.filter(item => item.type === 'event' && item.name === eventName) : abi;
+        if(eventName && eventAbis.length === 0) {
+            throw new InvalidArgumentError(`Event ${eventName} not found in the abi`);
+        }
+        if(filter && !eventName) {
+            throw new InvalidArgumentError('An `eventName` is required to filter events');
+        }
+        const topics = eventName ? this.encodeEventTopics(eventAbis[0], filter || {}) : undefined;
+        const addresses = address && [].concat(address).map(toWeb3Address);
+        const logsFilter = { address: addresses && (addresses.length === 1 ? addresses[0] : addresses), topics };
+
+        const from = await this.toBlockNumber(fromBlock);
+        const to = await this.toBlockNumber(toBlock);
+        if(from > to) {
+            throw new InvalidArgumentError(`Invalid block range provided: ${from} - ${to}`);
+        }
+
+        const logs = [];
+        let currentChunkSize = Math.floor(chunkSize);
+        for(let chunkStart = from; chunkStart <= to;) {
+            const chunkEnd = Math.min(chunkStart + currentChunkSize - 1, to);
+            const chunkFilter = Object.assign({}, logsFilter, { fromBlock: chunkStart, toBlock: chunkEnd });
+            try {
+                // Limit errors like `query timeout` look retryable, but the same chunk would fail again on any endpoint
+                logs.push(...await this.withRetryOnConnectionError(async () => await this.web3Client.eth.getPastLogs(chunkFilter), {
+                    shouldRetry: error => !isLogsLimitError(error) && this.retryPolicy.shouldRetry(error),
+                }));
+                chunkStart = chunkEnd + 1;
+            } catch (error) {
+                if(!isLogsLimitError(error) || currentChunkSize === 1) {
+                    throw error;
+                }
+                currentChunkSize = Math.ceil(currentChunkSize / 2);
+            }
+        }
+
+        return decodeLogs(logs, eventAbis, this.web3Client.eth.abi)
+            .sort((a, b) => (a.log.blockNumber - b.log.blockNumber) || (a.log.logIndex - b.log.logIndex));
+    }
+
+    /**
+     * @param {AbiItem} eventAbi
+     * @param {Object} filter The values to match for the indexed parameters, by name. An array matches any of its values.
+     * @returns {Array<string | string[] | null>} The `eth_getLogs` topics: the event signature, then the indexed parameters
+     */
+    encodeEventTopics(eventAbi, filter) {
+        const { abi } = this.web3Client.eth;
+        const encodeTopic = (type, value) => {
+            // Indexed dynamic types are logged as the hash of their value
+            if(type === 'string' || type === 'bytes') {
+                return this.web3Client.utils.soliditySha3({ t: type, v: value });
+            }
+            return abi.encodeParameter(type, type === 'address' ? toWeb3Address(value) : value);
+        };
+        const topics = [abi.encodeEventSignature(eventAbi)];
+        eventAbi.inputs.filter(input => input.indexed).forEach(input => {
+            const value = filter[input.name];
+            if(value === undefined || value === null) {
+                topics.push(null);
+            } else {
+                topics.push(Array.isArray(value) ? value.map(item => encodeTopic(input.type, item)) : encodeTopic(input.type, value));
+            }
+        });
+        while(topics[topics.length - 1] === null) {
+            topics.pop();
+        }
+        return topics;
+    }
+
+    /**
+     * @param {number | string} blockTag A block number, `earliest` or `latest`
+     * @returns {Promise<number>} The block number
+     */
+    async toBlockNumber(blockTag) {
+        if(blockTag === 'earliest') {
+            return 0;
+        }
+        if(blockTag === 'latest' || blockTag === 'pending') {
+            return await this.getBlockNumber();
+        }
+        const blockNumber = Number(blockTag);
+        if(!Number.isInteger(blockNumber) || blockNumber < 0) {
+            throw new InvalidArgumentError(`Invalid block provided: ${blockTag}`);
+        }
+        return blockNumber;
+    }
+
     /**
      * Returns the transaction receipt of this `txHash`
      * @param {string} txHash The transaction hash 
@@ -262,56 +1015,233 @@ class RskTransactionHelper {
     }
 
     /**
-     * Manually mines blocks. Used in a regtest environment. Useful for testing.
+     * Waits until the transaction `txHash` is mined and has reached the requested confirmation depth.
+     * `confirmations` defaults to the one of the network preset, or 1. `timeoutMs` defaults to twice the average time
+     * to mine that many blocks, and never less than a minute.
+     * @param {string} txHash The transaction hash
+     * @param {{ confirmations?: number, timeoutMs?: number, pollIntervalMs?: number, autoMine?: boolean }} waitOptions
+     * `autoMine` mines a block on every poll instead of waiting, useful in a regtest environment.
+     * @returns {TransactionReceipt} The transaction receipt
+     */
+    async waitForReceipt(txHash, waitOptions = {}) {
+        const defaultConfirmations = this.rskConfig.confirmations ? { confirmations: this.rskConfig.confirmations } : {};
+        const { confirmations, pollIntervalMs, autoMine } = Object.assign({}, DEFAULT_WAIT_OPTIONS, defaultConfirmations, waitOptions);
+
+        if(confirmations < 1) {
+            throw new InvalidArgumentError('Invalid `confirmations` provided. Needs to be greater than 0 if provided.');
+        }
+
+        const timeoutMs = waitOptions.timeoutMs !== undefined
+            ? waitOptions.timeoutMs
+            : Math.max(DEFAULT_WAIT_OPTIONS.timeoutMs, confirmations * AVERAGE_BLOCK_TIME_MS * 2);
+
+        const deadline = Date.now() + timeoutMs;
+
+        while(true) {
+            const receipt = await this.getTxReceipt(txHash);
+            if(receipt) {
+                const blockNumber = await this.getBlockNumber();
+                if(blockNumber - receipt.blockNumber + 1 >= confirmations) {
+                    return receipt;
+                }
+            }
+            if(Date.now() >= deadline) {
+                throw new TimeoutError(`Transaction ${txHash} did not reach ${confirmations} confirmation(s) within ${timeoutMs} ms`);
+            }
+            if(autoMine) {
+                await this.mine();
+            } else {
+                await wait(pollIntervalMs);
+            }
+        }
+    }
+
+    /**
+     * Same as `signAndSendTransaction`, but waits for the transaction receipt before returning.
+     * @param {string} senderAddress The `from` address in the transaction
+     * @param {string | Signer} senderPrivateKey The `from` address private key, or a `Signer` for it, to sign the transaction
+     * @param {string} destinationAddress The `to` address in the transaction
+     * @param {string} callData The `data` to be sent in the transaction
+     * @param {number} value The `value` in wei to be sent in the transaction
+     * @param {{ gasPrice?: number, gasLimit?: number }} gasOptions
+     * @param {{ confirmations?: number, timeoutMs?: number, pollIntervalMs?: number, autoMine?: boolean }} waitOptions See `waitForReceipt`
+     * @returns {TransactionReceipt} The transaction receipt
+     */
+    async signAndSendTransactionAndWait(senderAddress, senderPrivateKey, destinationAddress, callData, value, gasOptions = {}, waitOptions = {}) {
+        const { hash } = await this.signAndSendTransaction(senderAddress, senderPrivateKey, destinationAddress, callData, value, gasOptions);
+        return await this.waitForReceipt(hash, waitOptions);
+    }
+
+    /**
+     * Same as `transferFunds`, but waits for the transaction receipt before returning.
+     * @param {string} senderAddress The `from` address in the transaction
+     * @param {string | Signer} senderPrivateKey The `from` address private key, or a `Signer` for it, to sign the transaction
+     * @param {string} destinationAddress The `to` address in the transaction
+     * @param {number} value The `value` in wei to be sent in the transaction
+     * @param {{ gasPrice?: number, gasLimit?: number }} gasOptions
+     * @param {{ confirmations?: number, timeoutMs?: number, pollIntervalMs?: number, autoMine?: boolean }} waitOptions See `waitForReceipt`
+     * @returns {TransactionReceipt} The transaction receipt
+     */
+    async transferFundsAndWait(senderAddress, senderPrivateKey, destinationAddress, value, gasOptions = {}, waitOptions = {}) {
+        const { hash } = await this.transferFunds(senderAddress, senderPrivateKey, destinationAddress, value, gasOptions);
+        return await this.waitForReceipt(hash, waitOptions);
+    }
+
+    /**
+     * Deploys a contract: encodes the constructor arguments after `bytecode`, signs and sends the contract creation
+     * transaction, waits for its receipt and checks there is code at the new contract address.
+     * @param {{ abi: AbiItem[], bytecode: string, args?: any[], signer: string | Signer, gasOptions?: { gasPrice?: number, gasLimit?: number }, waitOptions?: Object }} deployOptions
+     * `signer` is the deployer private key, or a `Signer` for it. `waitOptions` are the ones of `waitForReceipt`.
+     * @returns {Promise<Contract>} A `web3.eth.Contract` bound to the deployed contract address
+     * @throws {RevertError} If the deployment transaction reverted
+     */
+    async deployContract({ abi, bytecode, args = [], signer, gasOptions = {}, waitOptions = {} }) {
+        if(!Array.isArray(abi)) {
+            throw new InvalidArgumentError('Invalid abi provided. Expected an array.');
+        }
+        if(typeof bytecode !== 'string' || !/^(0x)?([0-9a-fA-F]{2})+$/.test(bytecode)) {
+            throw new InvalidArgumentError('Invalid bytecode provided. Expected a hex string.');
+        }
+        const deployer = toSigner(signer);
+        const data = new this.web3Client.eth.Contract(abi)
+            .deploy({ data: bytecode.startsWith('0x') ? bytecode : `0x${bytecode}`, arguments: args })
+            .encodeABI();
+
+        const { hash } = await this.buildSignAndBroadcast(deployer.address, deployer, { data }, gasOptions);
+        const receipt = await this.waitForReceipt(hash, waitOptions);
+
+        if(!receipt.status) {
+            const revert = await this.getRevertReason(hash, abi);
+            const reason = revert && revert.reason ? `: ${revert.reason}` : '';
+            throw new RevertError(`Contract deployment ${hash} reverted${reason}`, revert || decodeRevertData(null, this.web3Client.eth.abi));
+        }
+        const { contractAddress } = receipt;
+        const code = contractAddress && await this.withRetryOnConnectionError(async () => await this.web3Client.eth.getCode(contractAddress));
+        if(!code || code === '0x') {
+            throw new InvalidArgumentError(`No code found at the address ${contractAddress} of the contract deployed in ${hash}. Check \`bytecode\` is the creation code of the contract.`);
+        }
+        return new this.web3Client.eth.Contract(abi, contractAddress);
+    }
+
+    /**
+     * Makes sure a regtest only method is not run against a mainnet or testnet node. Without a `network` preset
+     * there is nothing to check against, so it's allowed.
+     * @param {string} methodName
+     * @throws {ConfigurationError} If the helper is configured for a network other than regtest
+     */
+    checkRegtest(methodName) {
+        const { network } = this.rskConfig;
+        if(network && network !== REGTEST) {
+            throw new ConfigurationError(`${methodName} is only available on regtest, the helper is configured for ${network}`);
+        }
+    }
+
+    /**
+     * Manually mines blocks, moving the node time a minute forward before every one of them.
+     * Used in a regtest environment. Useful for testing.
      * @param {number} amountOfBlocks The amount of blocks to manually mine. Defaults to 1.
      * @returns {void}
      */
     async mine(amountOfBlocks = 1) {
 
+        this.checkRegtest('mine');
+
         if(amountOfBlocks < 1) {
-            throw new Error('Invalid `amountOfBlocks` provided. Needs to be greater than 0 if provided.');
+            throw new InvalidArgumentError('Invalid `amountOfBlocks` provided. Needs to be greater than 0 if provided.');
         }
 
-        const durationInMilliseconds = 1000 * 60; // 1 minute
-        let id = Date.now();
+        // Mining twice is not harmless, so only the requests that never reached the node are sent again.
+        const rpcOptions = { shouldRetry: error => this.shouldRetryUndelivered(error) };
 
-        const evmIncreaseTime = () => {
-            return new Promise((resolve, reject) => {
-                this.web3Client.currentProvider.send({
-                    jsonrpc: '2.0',
-                    method: 'evm_increaseTime',
-                    params: [durationInMilliseconds],
-                    id: id,
-                }, (error, result) => {
-                    if(error) {
-                        return reject(error);
-                    }
-                    resolve(result);
-                });
-            });
-        };
+        for(let i = 0; i < amountOfBlocks; i++) {
+            await this.rpc('evm_increaseTime', [MINED_BLOCK_TIME_INCREASE_SECONDS], rpcOptions);
+            await this.rpc('evm_mine', [], rpcOptions);
+        }
 
-        const evmMine = (increaseTimeResult) => {
-            return new Promise((resolve, reject) => {
-                this.web3Client.currentProvider.send({
-                    jsonrpc: '2.0',
-                    method: 'evm_mine',
-                    id: increaseTimeResult.id + 1,
-                }, (error, result) => {
-                    if(error) {
-                        return reject(error);
-                    }
-                    id = result.id + 1;
-                    resolve(result);
-                });
-            });
-        };
+    }
 
-        for(let i = 0; i < amountOfBlocks; i++) {
-            const increaseTimeResult = await this.withRetryOnConnectionError(async () => await evmIncreaseTime());
-            await this.withRetryOnConnectionError(async () => await evmMine(increaseTimeResult));
+    /**
+     * Mines blocks until the blockchain reaches `blockNumber`. Used in a regtest environment.
+     * @param {number} blockNumber The block number to reach. Nothing is mined if it was already reached.
+     * @returns {void}
+     */
+    async mineUntil(blockNumber) {
+        const currentBlockNumber = await this.getBlockNumber();
+        if(blockNumber > currentBlockNumber) {
+            await this.mine(blockNumber - currentBlockNumber);
+        }
+    }
+
+    /**
+     * Moves the time of the node forward. Used in a regtest environment.
+     * @param {number} seconds The amount of seconds to move forward
+     * @returns {void}
+     */
+    async increaseTime(seconds) {
+        this.checkRegtest('increaseTime');
+        if(seconds < 0) {
+            throw new InvalidArgumentError('Invalid `seconds` provided. Needs to be greater than or equal to 0.');
+        }
+        await this.rpc('evm_increaseTime', [seconds], { shouldRetry: error => this.shouldRetryUndelivered(error) });
+    }
+
+    /**
+     * Moves the time of the node forward so the next block is mined at or after `timestamp`. Used in a regtest environment.
+     * rskj has no `evm_setNextBlockTimestamp`, so this increases the time by the difference from the latest block timestamp.
+     * The node clock may already be ahead of that block, then the next block is mined later than `timestamp`.
+     * @param {number} timestamp The unix timestamp, in seconds. Must be after the latest block timestamp.
+     * @returns {void}
+     */
+    async setNextBlockTimestamp(timestamp) {
+        this.checkRegtest('setNextBlockTimestamp');
+        const latestBlock = await this.getBlock('latest');
+        const seconds = timestamp - Number(latestBlock.timestamp);
+        if(!(seconds > 0)) {
+            throw new InvalidArgumentError(`Invalid \`timestamp\` provided. Needs to be after the latest block timestamp ${latestBlock.timestamp}.`);
+        }
+        await this.increaseTime(seconds);
+    }
+
+    /**
+     * Takes a snapshot of the blockchain state. Used in a regtest environment.
+     * @returns {Promise<string>} The snapshot id, to be used with `revert`
+     */
+    async snapshot() {
+        this.checkRegtest('snapshot');
+        return await this.rpc('evm_snapshot');
+    }
+
+    /**
+     * Reverts the blockchain state to the one of the snapshot. Used in a regtest environment.
+     * @param {string} snapshotId The id returned by `snapshot`
+     * @returns {Promise<void>}
+     */
+    async revert(snapshotId) {
+        this.checkRegtest('revert');
+        const reverted = await this.rpc('evm_revert', [snapshotId], { shouldRetry: error => this.shouldRetryUndelivered(error) });
+        if(!reverted) {
+            throw new InvalidArgumentError(`Failed to revert to snapshot ${snapshotId}`);
         }
+        // Transactions after the snapshot are gone, nonces need to be taken from the node again.
+        this.nonceManager.reset();
+    }
 
+    /**
+     * Wraps `fn` so it runs on a snapshot of the blockchain that is reverted once it finishes, whether it succeeds or not.
+     * The result can be passed directly to mocha, i.e. `it('...', rskTxHelper.withSnapshot(async () => { ... }))`.
+     * @param {Function} fn The function to run
+     * @returns {Function} An async function forwarding its `this` and arguments to `fn` and resolving with its result
+     */
+    withSnapshot(fn) {
+        const rskTransactionHelper = this;
+        return async function(...args) {
+            const snapshotId = await rskTransactionHelper.snapshot();
+            try {
+                return await fn.apply(this, args);
+            } finally {
+                await rskTransactionHelper.revert(snapshotId);
+            }
+        };
     }
 
     /**
@@ -322,6 +1252,240 @@ class RskTransactionHelper {
         return this.web3Client;
     }
 
+    /**
+     * The `Web3` client of the endpoint currently in use. Changes when failing over to another endpoint.
+     * @returns {Web3}
+     */
+    get web3Client() {
+        return this.endpointPool.current.client;
+    }
+
+    /**
+     * @returns {string} The url of the endpoint currently in use
+     */
+    getCurrentHostUrl() {
+        return this.endpointPool.current.hostUrl;
+    }
+
+    /**
+     * Checks every configured endpoint with `eth_blockNumber` and switches to the first healthy one,
+     * or to the healthy one with the highest block if `preferHighestBlock` is set.
+     * Runs every `healthCheckIntervalMs` on its own when several endpoints are configured.
+     * @returns {Promise<Array<{ hostUrl: string, healthy: boolean, blockNumber: number | null }>>} The status of every endpoint
+     */
+    async checkEndpointsHealth() {
+        return await this.endpointPool.checkHealth();
+    }
+
+    /**
+     * Stops the periodic endpoint health checks.
+     */
+    stopHealthChecks() {
+        this.endpointPool.stopHealthChecks();
+    }
+
+    /**
+     * @returns {boolean} Whether to use node subscriptions, only when there is a single endpoint supporting them
+     */
+    canSubscribe() {
+        return this.endpointPool.size === 1 && supportsSubscriptions(this.web3Client.currentProvider);
+    }
+
+    /**
+     * Calls `callback(error, blockHeader)` for every new block. Uses a `newBlockHeaders` subscription on websocket and IPC
+     * endpoints, and otherwise polls `getBlockNumber`, calling back with every block mined since the previous poll.
+     * A subscription stays on the endpoint it was created on, so with several endpoints it always polls, following failovers.
+     * @param {Function} callback Called with `(error, block)`
+     * @param {{ pollIntervalMs?: number }} options How often to poll when subscriptions aren't supported. Defaults to 5000.
+     * @returns {{ unsubscribe: () => Promise<void> }}
+     */
+    onNewBlock(callback, options = {}) {
+        if(this.canSubscribe()) {
+            return this.trackSubscription(this.web3Client.eth.subscribe('newBlockHeaders', callback));
+        }
+        let lastBlockNumber = null;
+        return this.poll(async isActive => {
+            const blockNumber = await this.getBlockNumber();
+            if(lastBlockNumber === null) {
+                lastBlockNumber = blockNumber;
+            }
+            while(lastBlockNumber < blockNumber && isActive()) {
+                const block = await this.getBlock(lastBlockNumber + 1);
+                lastBlockNumber++;
+                callback(null, block);
+            }
+        }, callback, options.pollIntervalMs);
+    }
+
+    /**
+     * Calls `callback(error, txHash)` for every transaction entering the node mempool. Uses a `pendingTransactions`
+     * subscription on websocket and IPC endpoints, and otherwise polls a pending transactions filter.
+     * Like `onNewBlock`, it always polls with several endpoints. The filter is created again after switching endpoints.
+     * @param {Function} callback Called with `(error, txHash)`
+     * @param {{ pollIntervalMs?: number }} options How often to poll when subscriptions aren't supported. Defaults to 5000.
+     * @returns {{ unsubscribe: () => Promise<void> }}
+     */
+    onPendingTransaction(callback, options = {}) {
+        if(this.canSubscribe()) {
+            return this.trackSubscription(this.web3Client.eth.subscribe('pendingTransactions', callback));
+        }
+        let filterId = null;
+        let filterHostUrl = null;
+        const subscription = this.poll(async isActive => {
+            // Filters only exist on the node they were created on
+            if(!filterId || filterHostUrl !== this.getCurrentHostUrl()) {
+                filterHostUrl = this.getCurrentHostUrl();
+                filterId = await this.rpc('eth_newPendingTransactionFilter');
+            }
+            let txHashes;
+            try {
+                txHashes = await this.rpc('eth_getFilterChanges', [filterId]);
+            } catch (error) {
+                // The node may have dropped the filter, i.e. after a restart. Creating a new one on the next poll.
+                filterId = null;
+                throw error;
+            }
+            if(isActive()) {
+                txHashes.forEach(txHash => callback(null, txHash));
+            }
+        }, callback, options.pollIntervalMs);
+        const unsubscribe = subscription.unsubscribe;
+        subscription.unsubscribe = async () => {
+            await unsubscribe();
+            if(filterId) {
+                await this.rpc('eth_uninstallFilter', [filterId]).catch(() => {});
+            }
+        };
+        return subscription;
+    }
+
+    /**
+     * Watches the events matching `filter`, delivering them to `handler` once they are `confirmations` blocks deep, and
+     * again with `removed: true` if a reorg orphans them. See `EventWatcher`.
+     * @param {{ address?: string | string[], abi: AbiItem[], eventName?: string, filter?: Object, chunkSize?: number }} filter See `getEvents`
+     * @param {Function} handler Called with `(error, event)`
+     * @param {{ confirmations?: number, startBlock?: number | string, pollIntervalMs?: number, checkpoint?: Object }} options
+     * `confirmations` defaults to the one of the network preset, or 12.
+     * @returns {EventWatcher} The running watcher, with `getCheckpoint` and `unsubscribe`
+     */
+    watchEvents(filter, handler, options = {}) {
+        const watchOptions = Object.assign({}, options);
+        if(watchOptions.confirmations === undefined && this.rskConfig.confirmations) {
+            watchOptions.confirmations = this.rskConfig.confirmations;
+        }
+        return new EventWatcher(this, filter, handler, watchOptions).start();
+    }
+
+    /**
+     * Calls `pollFn` right away and then `pollIntervalMs` after every call finishes, until unsubscribed.
+     * Errors are passed to `callback`, and polling goes on.
+     */
+    poll(pollFn, callback, pollIntervalMs = DEFAULT_SUBSCRIPTION_POLL_INTERVAL_MS) {
+        let active = true;
+        let timer = null;
+        const isActive = () => active;
+        const run = async () => {
+            try {
+                await pollFn(isActive);
+            } catch (error) {
+                if(active) {
+                    callback(error);
+                }
+            }
+            if(active) {
+                timer = setTimeout(run, pollIntervalMs);
+            }
+        };
+        const subscription = {
+            unsubscribe: async () => {
+                active = false;
+                clearTimeout(timer);
+                this.subscriptions.delete(subscription);
+            },
+        };
+        this.subscriptions.add(subscription);
+        run();
+        return subscription;
+    }
+
+    trackSubscription(web3Subscription) {
+        const subscription = {
+            unsubscribe: async () => {
+                this.subscriptions.delete(subscription);
+                await web3Subscription.unsubscribe();
+            },
+        };
+        this.subscriptions.add(subscription);
+        return subscription;
+    }
+
+    /**
+     * Unsubscribes from everything, stops the endpoint health checks and closes websocket and IPC connections.
+     * The helper shouldn't be used afterwards.
+     */
+    async disconnect() {
+        await Promise.all([...this.subscriptions].map(subscription => subscription.unsubscribe().catch(() => {})));
+        this.stopHealthChecks();
+        this.endpointPool.endpoints.forEach(endpoint => closeProvider(endpoint.client.currentProvider));
+    }
+
+    /**
+     * @param {string} txHash
+     * @returns {string | null} The url of the transaction in the block explorer of the network, or null if there's none
+     */
+    getExplorerUrl(txHash) {
+        const { explorerUrl } = this.rskConfig;
+        return explorerUrl ? explorerUrl.replace('{txHash}', txHash) : null;
+    }
+
+    /**
+     * 
+     * @returns {Bridge} A client for the Rootstock Bridge precompiled contract
+     */
+    getBridge() {
+        if(!this.bridge) {
+            this.bridge = new Bridge(this);
+        }
+        return this.bridge;
+    }
+
+    /**
+     * @param {string} tokenAddress The ERC-20 token contract address
+     * @returns {Token} A client for the token. The same one is returned for the same address, so its metadata is only fetched once.
+     */
+    getToken(tokenAddress) {
+        const key = typeof tokenAddress === 'string' ? tokenAddress.toLowerCase() : tokenAddress;
+        if(!this.tokens.has(key)) {
+            this.tokens.set(key, new Token(this, tokenAddress));
+        }
+        return this.tokens.get(key);
+    }
+
+    /**
+     * @returns {Promise<Token>} A client for the RIF token of the network the node is on
+     * @throws {ConfigurationError} If there's no RIF token known for the chain id of the node, i.e. on regtest
+     */
+    async getRifToken() {
+        const chainId = await this.getChainId();
+        const rifTokenAddress = RIF_TOKEN_ADDRESSES[chainId];
+        if(!rifTokenAddress) {
+            throw new ConfigurationError(`No RIF token known for chainId ${chainId}`);
+        }
+        return this.getToken(rifTokenAddress);
+    }
+
+    /**
+     * Creates a `MnemonicSigner` for the configured network. Unless `options` has a `derivationPath` or an `index`,
+     * the account is derived with the configured `derivationPath`, the one of the `network` preset if not given.
+     * @param {string} mnemonic A BIP-39 english mnemonic
+     * @param {{ index?: number, derivationPath?: string, passphrase?: string }} options See `MnemonicSigner`
+     * @returns {MnemonicSigner}
+     */
+    createMnemonicSigner(mnemonic, options = {}) {
+        const derivationPath = options.index === undefined ? this.rskConfig.derivationPath : undefined;
+        return new MnemonicSigner(mnemonic, Object.assign({ chainId: this.rskConfig.chainId, derivationPath }, options));
+    }
+
     /**
      * 
      * @returns {number} The latest block number in the blockchain
@@ -336,22 +1500,8 @@ class RskTransactionHelper {
      * @returns {Promise<string>} returns the address of the account that was just created with the seed
      */
     async newAccountWithSeed(seed) {
-        const sendNewAccountWithSeedRequest = () => {
-            return new Promise((resolve, reject) => {
-                this.web3Client.currentProvider.send({
-                    jsonrpc: '2.0',
-                    method: 'personal_newAccountWithSeed',
-                    params: [seed],
-                    id: new Date().getTime(),
-                }, (error, response) => {
-                    if(error) {
-                        return reject(error);
-                    }
-                    resolve(response.result);
-                });
-            });
-        };
-        return await this.withRetryOnConnectionError(sendNewAccountWithSeedRequest);
+        this.checkRegtest('newAccountWithSeed');
+        return await this.rpc('personal_newAccountWithSeed', [seed], { shouldRetry: error => this.shouldRetryUndelivered(error) });
     }
 
     /**
@@ -359,22 +1509,8 @@ class RskTransactionHelper {
      * @returns {Promise<void>}
      */
     async updateBridge() {
-        const sendUpdateBridgeRequest = () => {
-            return new Promise((resolve, reject) => {
-                this.web3Client.currentProvider.send({
-                    jsonrpc: '2.0',
-                    method: 'fed_updateBridge',
-                    params: [],
-                    id: new Date().getTime(),
-                }, (error, response) => {
-                    if(error) {
-                        return reject(error);
-                    }
-                    resolve();
-                });
-            });
-        };
-        return await this.withRetryOnConnectionError(sendUpdateBridgeRequest);
+        this.checkRegtest('updateBridge');
+        await this.rpc('fed_updateBridge');
     }
 
     /**
@@ -402,12 +1538,36 @@ class RskTransactionHelper {
     }
 
     /**
-     * Sends a transaction to the blockchain using the provided `txConfig`
+     * Sends a transaction to the blockchain using the provided `txConfig`.
+     * The node signs it with a new nonce every time, so it's only retried when the request surely never reached the node.
      * @param {TransactionConfig} txConfig
      * @returns {string} The transaction hash
      */
     async sendTransaction(txConfig) {
-        return await this.withRetryOnConnectionError(async () => await this.web3Client.eth.sendTransaction(txConfig));
+        return await this.withRetryOnConnectionError(async () => await this.web3Client.eth.sendTransaction(txConfig), {
+            shouldRetry: error => this.shouldRetryUndelivered(error),
+        });
+    }
+
+    /**
+     * Sends a transaction to the blockchain using the provided `txConfig` and waits for its receipt.
+     * Like `sendTransaction`, it's only retried when the request surely never reached the node.
+     * @param {TransactionConfig} txConfig
+     * @param {{ confirmations?: number, timeoutMs?: number, pollIntervalMs?: number, autoMine?: boolean }} waitOptions See `waitForReceipt`
+     * @returns {TransactionReceipt} The transaction receipt
+     */
+    async sendTransactionAndWait(txConfig, waitOptions = {}) {
+        const sendTransaction = () => {
+            return new Promise((resolve, reject) => {
+                this.web3Client.eth.sendTransaction(txConfig)
+                    .once('transactionHash', resolve)
+                    .once('error', reject);
+            });
+        };
+        const txHash = await this.withRetryOnConnectionError(sendTransaction, {
+            shouldRetry: error => this.shouldRetryUndelivered(error),
+        });
+        return await this.waitForReceipt(txHash, waitOptions);
     }
 
 }
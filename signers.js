@@ -0,0 +1,123 @@
+'use strict';
+const fs = require('fs');
+const Web3 = require('web3');
+const Tx = require('ethereumjs-tx');
+const { HDKey } = require('ethereum-cryptography/hdkey');
+const { mnemonicToSeedSync, validateMnemonic } = require('ethereum-cryptography/bip39');
+const { wordlist } = require('ethereum-cryptography/bip39/wordlists/english');
+const { InvalidArgumentError } = require('./rsk-transaction-helper-error');
+
+const MAINNET_CHAIN_ID = 30;
+
+const MAINNET_COIN_TYPE = 137;
+const TESTNET_COIN_TYPE = 37310;
+
+// Only used for its offline utilities, no provider is needed.
+const web3 = new Web3();
+
+/**
+ * A `Signer` knows its `address` and is able to sign transactions for it.
+ * Any object implementing this interface can be used instead of a raw private key.
+ * @typedef {Object} Signer
+ * @property {string} address The address of the account this signer signs for
+ * @property {(rawTx: Object) => Promise<string>} signTransaction Signs the `ethereumjs-tx` compatible `rawTx` and returns the serialized signed transaction as a `0x` prefixed hex string
+ */
+
+/**
+ * Returns the Rootstock BIP-44 derivation path for the given chain id and account index.
+ * Mainnet uses coin type 137, any other network the testnet coin type 37310.
+ * @param {number | string} chainId
+ * @param {number} index The address index. Defaults to 0.
+ * @returns {string} The derivation path, i.e. `m/44'/137'/0'/0/0`
+ */
+const getDerivationPath = (chainId, index = 0) => {
+    const coinType = Number(chainId) === MAINNET_CHAIN_ID ? MAINNET_COIN_TYPE : TESTNET_COIN_TYPE;
+    return `m/44'/${coinType}'/0'/0/${index}`;
+};
+
+class PrivateKeySigner {
+
+    /**
+     * @param {string} privateKey The hex private key, with or without the `0x` prefix
+     */
+    constructor(privateKey) {
+        if(!privateKey || typeof privateKey !== 'string') {
+            throw new InvalidArgumentError('Invalid private key provided');
+        }
+        const hexPrivateKey = privateKey.startsWith('0x') ? privateKey.substring(2) : privateKey;
+        this.privateKey = Buffer.from(hexPrivateKey, 'hex');
+        this.address = web3.eth.accounts.privateKeyToAccount(`0x${hexPrivateKey}`).address.toLowerCase();
+    }
+
+    async signTransaction(rawTx) {
+        const tx = new Tx(rawTx);
+        tx.sign(this.privateKey);
+        return '0x' + tx.serialize().toString('hex');
+    }
+
+}
+
+class KeystoreSigner extends PrivateKeySigner {
+
+    /**
+     * @param {Object | string} keystore A web3 V3 JSON keystore, either parsed or as a JSON string
+     * @param {string} password The password the keystore was encrypted with
+     */
+    constructor(keystore, password) {
+        const account = web3.eth.accounts.decrypt(keystore, password);
+        super(account.privateKey);
+    }
+
+    /**
+     * @param {string} filePath Path to a web3 V3 JSON keystore file
+     * @param {string} password The password the keystore was encrypted with
+     * @returns {KeystoreSigner}
+     */
+    static fromFile(filePath, password) {
+        return new KeystoreSigner(fs.readFileSync(filePath, 'utf8'), password);
+    }
+
+}
+
+class MnemonicSigner extends PrivateKeySigner {
+
+    /**
+     * @param {string} mnemonic A BIP-39 english mnemonic
+     * @param {{ chainId?: number | string, index?: number, derivationPath?: string, passphrase?: string }} options
+     * The derivation path defaults to the Rootstock one for `chainId` and `index`. See `getDerivationPath`.
+     */
+    constructor(mnemonic, options = {}) {
+        if(!validateMnemonic(mnemonic, wordlist)) {
+            throw new InvalidArgumentError('Invalid mnemonic provided');
+        }
+        const derivationPath = options.derivationPath || getDerivationPath(options.chainId, options.index);
+        const seed = mnemonicToSeedSync(mnemonic, options.passphrase);
+        const { privateKey } = HDKey.fromMasterSeed(seed).derive(derivationPath);
+        super(Buffer.from(privateKey).toString('hex'));
+        this.derivationPath = derivationPath;
+    }
+
+}
+
+/**
+ * Returns `signerOrPrivateKey` as a `Signer`, wrapping it in a `PrivateKeySigner` if it's a hex private key.
+ * @param {Signer | string} signerOrPrivateKey
+ * @returns {Signer}
+ */
+const toSigner = (signerOrPrivateKey) => {
+    if(typeof signerOrPrivateKey === 'string') {
+        return new PrivateKeySigner(signerOrPrivateKey);
+    }
+    if(!signerOrPrivateKey || !signerOrPrivateKey.address || typeof signerOrPrivateKey.signTransaction !== 'function') {
+        throw new InvalidArgumentError('Invalid signer provided. Expected a private key or an object with `address` and `signTransaction`.');
+    }
+    return signerOrPrivateKey;
+};
+
+module.exports = {
+    PrivateKeySigner,
+    KeystoreSigner,
+    MnemonicSigner,
+    getDerivationPath,
+    toSigner,
+};
@@ -0,0 +1,66 @@
+const chai = require('chai');
+const { toChecksumAddress, isValidAddress, toWeb3Address } = require('../address-utils');
+const assert = chai.assert;
+
+// EIP-1191 test vectors
+const TEST_ADDRESS = '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed';
+const TEST_MAINNET_CHECKSUM_ADDRESS = '0x5aaEB6053f3e94c9b9a09f33669435E7ef1bEAeD';
+const TEST_TESTNET_CHECKSUM_ADDRESS = '0x5aAeb6053F3e94c9b9A09F33669435E7EF1BEaEd';
+const TEST_ETHEREUM_CHECKSUM_ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+describe('Address utils tests', () => {
+
+    it('should return the EIP-1191 checksum address for the chain id', () => {
+
+        assert.equal(toChecksumAddress(TEST_ADDRESS, 30), TEST_MAINNET_CHECKSUM_ADDRESS, 'Mainnet checksum address is not as expected');
+        assert.equal(toChecksumAddress(TEST_ADDRESS, '31'), TEST_TESTNET_CHECKSUM_ADDRESS, 'Testnet checksum address is not as expected');
+        assert.equal(toChecksumAddress(TEST_MAINNET_CHECKSUM_ADDRESS, 31), TEST_TESTNET_CHECKSUM_ADDRESS, 'Checksum address is not as expected for a mixed case input');
+
+    });
+
+    it('should return the EIP-55 checksum address if no chain id is provided', () => {
+
+        assert.equal(toChecksumAddress(TEST_ADDRESS), TEST_ETHEREUM_CHECKSUM_ADDRESS, 'Checksum address is not as expected');
+
+    });
+
+    it('should fail to checksum an invalid address', () => {
+
+        assert.throws(() => toChecksumAddress('0x1234', 30), 'Invalid address provided: 0x1234');
+
+    });
+
+    it('should validate the address checksum against the chain id', () => {
+
+        assert.isTrue(isValidAddress(TEST_MAINNET_CHECKSUM_ADDRESS, 30), 'Mainnet checksum address should be valid on mainnet');
+        assert.isTrue(isValidAddress(TEST_TESTNET_CHECKSUM_ADDRESS, 31), 'Testnet checksum address should be valid on testnet');
+        assert.isFalse(isValidAddress(TEST_MAINNET_CHECKSUM_ADDRESS, 31), 'Mainnet checksum address should not be valid on testnet');
+        assert.isFalse(isValidAddress(TEST_ETHEREUM_CHECKSUM_ADDRESS, 30), 'Ethereum checksum address should not be valid on mainnet');
+        assert.isTrue(isValidAddress(TEST_ETHEREUM_CHECKSUM_ADDRESS), 'Ethereum checksum address should be valid without chain id');
+
+    });
+
+    it('should consider addresses without checksum valid', () => {
+
+        assert.isTrue(isValidAddress(TEST_ADDRESS, 30), 'Lower case address should be valid');
+        assert.isTrue(isValidAddress('0x' + TEST_ADDRESS.substring(2).toUpperCase(), 30), 'Upper case address should be valid');
+
+    });
+
+    it('should consider malformed addresses invalid', () => {
+
+        assert.isFalse(isValidAddress('0x1234', 30), 'Short address should not be valid');
+        assert.isFalse(isValidAddress(TEST_ADDRESS.substring(2), 30), 'Address without 0x prefix should not be valid');
+        assert.isFalse(isValidAddress(undefined, 30), 'Undefined address should not be valid');
+
+    });
+
+    it('should lower case addresses for web3', () => {
+
+        assert.equal(toWeb3Address(TEST_MAINNET_CHECKSUM_ADDRESS), TEST_ADDRESS, 'Address should be lower cased');
+        assert.isUndefined(toWeb3Address(undefined), 'Empty addresses should be kept');
+        assert.isNull(toWeb3Address(null), 'Empty addresses should be kept');
+
+    });
+
+});
@@ -0,0 +1,299 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const RskTransactionHelper = require('../rsk-transaction-helper');
+const Bridge = require('../bridge');
+const chaiAsPromise = require('chai-as-promised');
+chai.use(chaiAsPromise);
+const assert = chai.assert;
+
+// No actual call to this host is being made, but it's needed for the `currentProvider` object to be created.
+const PROVIDER_URL = 'http://localhost:4444';
+
+const TEST_BTC_TX_HASH = '2b8f3e2b1a3bd4fbd4d2b7b5c1e1f7f0a6e4b8f5e4d3c2b1a0f9e8d7c6b5a4f3';
+const TEST_SENDER_ADDRESS = '0x0671fcbf6c14b08a18cb8db6e5345efaecb907c4';
+const TEST_PRIVATE_KEY = 'b7ddc1c73a0f94479ec44c814d57aec904865dfa1e3487ec8c648ee7fb2daf3c';
+const TEST_TX_HASH = '0x49ea2e86436430232d69e3ef21ae08d111a4f23d666f8f3e8735b1ef5bda87b0';
+const TEST_OTHER_TX_HASH = '0x053a9e84bd5eae90834da13fa25af17307b405d6eb3f3dd34a31450a7067c76b';
+
+/**
+ * Stubs the provider so every `eth_call` made to the Bridge returns `encodedResult`.
+ */
+const stubBridgeCall = (rskTransactionHelper, outputType, value) => {
+    const web3Client = rskTransactionHelper.getClient();
+    const encodedResult = web3Client.eth.abi.encodeParameter(outputType, value);
+    return sinon.stub(web3Client.currentProvider, 'send').callsFake((payload, callback) => {
+        callback(null, { jsonrpc: '2.0', id: payload.id, result: encodedResult });
+    });
+};
+
+/**
+ * Builds a Bridge log for the event `eventName` as it would be found in a transaction receipt.
+ */
+const buildBridgeLog = (web3Client, eventName, indexedValues, values) => {
+    const eventAbi = Bridge.BRIDGE_ABI.find(item => item.name === eventName);
+    const indexedInputs = eventAbi.inputs.filter(input => input.indexed);
+    const nonIndexedInputs = eventAbi.inputs.filter(input => !input.indexed);
+    return {
+        address: Bridge.BRIDGE_ADDRESS,
+        topics: [
+            web3Client.eth.abi.encodeEventSignature(eventAbi),
+            ...indexedInputs.map((input, index) => web3Client.eth.abi.encodeParameter(input.type, indexedValues[index])),
+        ],
+        data: web3Client.eth.abi.encodeParameters(nonIndexedInputs.map(input => input.type), values),
+    };
+};
+
+describe('Bridge tests', () => {
+
+    it('should return the same Bridge client every time', () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const bridge = rskTransactionHelper.getBridge();
+
+        assert.instanceOf(bridge, Bridge, 'Should be a Bridge client');
+        assert.equal(rskTransactionHelper.getBridge(), bridge, 'Bridge client should be reused');
+
+    });
+
+    it('should call the Bridge precompiled contract address', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const sendStub = stubBridgeCall(rskTransactionHelper, 'string', '2N5muMepJizJE1gR7FbHJU6CD18V3BpNF9p');
+
+        const federationAddress = await rskTransactionHelper.getBridge().getFederationAddress();
+
+        assert.equal(federationAddress, '2N5muMepJizJE1gR7FbHJU6CD18V3BpNF9p', 'Federation address is not as expected');
+
+        const { method, params } = sendStub.firstCall.args[0];
+
+        assert.equal(method, 'eth_call', 'Expected an `eth_call` to the Bridge');
+        assert.equal(params[0].to, Bridge.BRIDGE_ADDRESS, 'Call was not made to the Bridge address');
+
+    });
+
+    it('should return the federation size as a number', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        stubBridgeCall(rskTransactionHelper, 'int256', 15);
+
+        assert.strictEqual(await rskTransactionHelper.getBridge().getFederationSize(), 15, 'Federation size is not as expected');
+
+    });
+
+    it('should return the best BTC chain height as a number', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        stubBridgeCall(rskTransactionHelper, 'int256', 800000);
+
+        assert.strictEqual(await rskTransactionHelper.getBridge().getBtcBlockchainBestChainHeight(), 800000, 'Best chain height is not as expected');
+
+    });
+
+    it('should return the minimum lock value and locking cap as BN', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        stubBridgeCall(rskTransactionHelper, 'int256', '500000');
+
+        const bridge = rskTransactionHelper.getBridge();
+        const minimumLockTxValue = await bridge.getMinimumLockTxValue();
+        const lockingCap = await bridge.getLockingCap();
+
+        assert.isTrue(rskTransactionHelper.getClient().utils.isBN(minimumLockTxValue), 'Minimum lock value should be a BN');
+        assert.equal(minimumLockTxValue.toString(), '500000', 'Minimum lock value is not as expected');
+        assert.equal(lockingCap.toString(), '500000', 'Locking cap is not as expected');
+
+    });
+
+    it('should return the state for the BTC release client as hex', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        stubBridgeCall(rskTransactionHelper, 'bytes', '0xf8c0');
+
+        assert.equal(await rskTransactionHelper.getBridge().getStateForBtcReleaseClient(), '0xf8c0', 'State is not as expected');
+
+    });
+
+    it('should check if a BTC transaction was already processed', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const sendStub = stubBridgeCall(rskTransactionHelper, 'bool', true);
+
+        const web3Client = rskTransactionHelper.getClient();
+        const expectedData = web3Client.eth.abi.encodeFunctionCall(Bridge.BRIDGE_ABI.find(item => item.name === 'isBtcTxHashAlreadyProcessed'), [TEST_BTC_TX_HASH]);
+
+        assert.isTrue(await rskTransactionHelper.getBridge().isBtcTxHashAlreadyProcessed(TEST_BTC_TX_HASH), 'BTC transaction should be processed');
+
+        assert.equal(sendStub.firstCall.args[0].params[0].data, expectedData, 'Call data is not as expected');
+
+    });
+
+    it('should fail when the call to the Bridge fails', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        sinon.stub(rskTransactionHelper.getClient().currentProvider, 'send').callsArgWith(1, new Error('A different error'));
+
+        await chai.expect(rskTransactionHelper.getBridge().getFederationSize()).to.eventually.be.rejectedWith('A different error');
+
+    });
+
+    it('should decode the Bridge logs ignoring logs from other contracts', () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const releaseRequestReceivedLog = buildBridgeLog(web3Client, 'release_request_received', [TEST_SENDER_ADDRESS], ['mgy8yiUZYB7o9vvCu2Yx8GuMzqEr5LyFmv', '500000']);
+        const otherContractLog = Object.assign({}, releaseRequestReceivedLog, { address: TEST_SENDER_ADDRESS });
+
+        const events = rskTransactionHelper.getBridge().decodeLogs([otherContractLog, releaseRequestReceivedLog]);
+
+        assert.lengthOf(events, 1, 'Only the Bridge log should be decoded');
+        assert.equal(events[0].event, 'release_request_received', 'Event name is not as expected');
+        assert.equal(events[0].returnValues.sender.toLowerCase(), TEST_SENDER_ADDRESS, 'Sender is not as expected');
+        assert.equal(events[0].returnValues.btcDestinationAddress, 'mgy8yiUZYB7o9vvCu2Yx8GuMzqEr5LyFmv', 'BTC destination address is not as expected');
+        assert.equal(events[0].returnValues.amount, '500000', 'Amount is not as expected');
+
+    });
+
+    it('should fail to peg out a value below the minimum provided', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        sinon.stub(rskTransactionHelper, 'transferFunds');
+
+        const pegoutPromise = rskTransactionHelper.pegout(TEST_PRIVATE_KEY, '4999999999999999', { minimumPegoutValueInWei: '5000000000000000' });
+
+        await chai.expect(pegoutPromise).to.eventually.be.rejectedWith('Peg-out value 4999999999999999 is below the minimum of 5000000000000000 wei');
+        await chai.expect(rskTransactionHelper.pegout(TEST_PRIVATE_KEY, 0)).to.eventually.be.rejectedWith('Invalid peg-out value provided: 0. Needs to be greater than 0.');
+
+        assert.isTrue(rskTransactionHelper.transferFunds.notCalled, '`transferFunds` should not be called');
+
+    });
+
+    it('should leave the minimum peg-out value check to the Bridge by default', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const sendStub = sinon.stub(rskTransactionHelper.getClient().currentProvider, 'send');
+        sinon.stub(rskTransactionHelper, 'transferFunds').resolves({ hash: TEST_TX_HASH });
+
+        // Below the minimum peg-in value, but it may still be above the minimum peg-out value
+        const tracker = await rskTransactionHelper.pegout(TEST_PRIVATE_KEY, '1000000000000000');
+
+        assert.equal(tracker.txHash, TEST_TX_HASH, 'Tracked hash is not as expected');
+        assert.isTrue(sendStub.notCalled, 'The Bridge should not be called');
+        assert.equal(rskTransactionHelper.transferFunds.firstCall.args[3].toString(), '1000000000000000', 'Value is not as expected');
+
+    });
+
+    it('should peg out sending the value to the Bridge', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const sendResult = { hash: TEST_TX_HASH };
+
+        sinon.stub(rskTransactionHelper, 'transferFunds').resolves(sendResult);
+
+        const tracker = await rskTransactionHelper.pegout(TEST_PRIVATE_KEY, '5000000000000000', { minimumPegoutValueInWei: '4000000000000000', gasOptions: { gasPrice: 1000 } });
+
+        assert.instanceOf(tracker, Bridge.PegoutTracker, 'Should return a peg-out tracker');
+        assert.equal(tracker.txHash, TEST_TX_HASH, 'Tracked hash is not as expected');
+
+        const [senderAddress, signer, destinationAddress, value, gasOptions] = rskTransactionHelper.transferFunds.firstCall.args;
+
+        assert.equal(senderAddress, TEST_SENDER_ADDRESS, 'Sender address is not as expected');
+        assert.equal(signer.address, TEST_SENDER_ADDRESS, 'Signer is not as expected');
+        assert.equal(destinationAddress, Bridge.BRIDGE_ADDRESS, 'Peg-out should be sent to the Bridge');
+        assert.equal(value.toString(), '5000000000000000', 'Value is not as expected');
+        assert.deepEqual(gasOptions, { gasLimit: 100000, gasPrice: 1000 }, 'Gas options are not as expected');
+
+    });
+
+    it('should return the peg-out request event from the receipt', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const receipt = {
+            transactionHash: TEST_TX_HASH,
+            logs: [buildBridgeLog(web3Client, 'release_request_rejected', [TEST_SENDER_ADDRESS], ['500000', '-1'])],
+        };
+
+        sinon.stub(rskTransactionHelper, 'waitForReceipt').resolves(receipt);
+
+        const tracker = new Bridge.PegoutTracker(rskTransactionHelper, { hash: TEST_TX_HASH });
+
+        const requestEvent = await tracker.getRequestEvent();
+
+        assert.equal(requestEvent.event, 'release_request_rejected', 'Event name is not as expected');
+        assert.equal(requestEvent.returnValues.reason, '-1', 'Rejection reason is not as expected');
+        assert.isTrue(rskTransactionHelper.waitForReceipt.calledWith(TEST_TX_HASH), 'Should wait for the peg-out receipt');
+
+    });
+
+    it('should find the release events of the peg-out', () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const btcTxHash = `0x${TEST_BTC_TX_HASH}`;
+
+        const receipt = {
+            logs: [
+                buildBridgeLog(web3Client, 'release_requested', [TEST_OTHER_TX_HASH, btcTxHash], ['500000']),
+                buildBridgeLog(web3Client, 'release_requested', [TEST_TX_HASH, btcTxHash], ['500000']),
+                buildBridgeLog(web3Client, 'batch_pegout_created', [btcTxHash], [TEST_OTHER_TX_HASH + TEST_TX_HASH.substring(2)]),
+            ],
+        };
+
+        const tracker = new Bridge.PegoutTracker(rskTransactionHelper, { hash: TEST_TX_HASH });
+
+        const releaseEvents = tracker.findReleaseEvents(receipt);
+
+        assert.deepEqual(releaseEvents.map(event => event.event), ['release_requested', 'batch_pegout_created'], 'Release events are not as expected');
+        assert.equal(releaseEvents[0].returnValues.btcTxHash, btcTxHash, 'BTC transaction hash is not as expected');
+
+    });
+
+});
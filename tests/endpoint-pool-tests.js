@@ -0,0 +1,109 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const EndpointPool = require('../endpoint-pool');
+const chaiAsPromise = require('chai-as-promised');
+chai.use(chaiAsPromise);
+const assert = chai.assert;
+
+const HOST_URLS = ['http://node-1:4444', 'http://node-2:4444', 'http://node-3:4444'];
+
+const createClientMock = hostUrl => ({ hostUrl, eth: { getBlockNumber: sinon.stub() } });
+
+describe('EndpointPool tests', () => {
+
+    it('should start with the first endpoint', () => {
+
+        const endpointPool = new EndpointPool(HOST_URLS, createClientMock);
+
+        assert.equal(endpointPool.size, 3, 'Size is not as expected');
+        assert.equal(endpointPool.current.hostUrl, HOST_URLS[0], 'Current endpoint should be the first one');
+        assert.equal(endpointPool.current.client.hostUrl, HOST_URLS[0], 'Client should be created for the endpoint');
+
+    });
+
+    it('should fail over to the next endpoint not known to be unhealthy', () => {
+
+        const endpointPool = new EndpointPool(HOST_URLS, createClientMock);
+
+        endpointPool.endpoints[1].healthy = false;
+
+        assert.equal(endpointPool.failover().hostUrl, HOST_URLS[2], 'Should skip the unhealthy endpoint');
+        assert.isFalse(endpointPool.endpoints[0].healthy, 'Failed endpoint should be marked as unhealthy');
+
+        // Every endpoint is unhealthy now, moving to the next one in order
+        assert.equal(endpointPool.failover().hostUrl, HOST_URLS[0], 'Should move to the next endpoint in order');
+
+    });
+
+    it('should not fail over with a single endpoint', () => {
+
+        const endpointPool = new EndpointPool([HOST_URLS[0]], createClientMock);
+
+        assert.equal(endpointPool.failover().hostUrl, HOST_URLS[0], 'Current endpoint should not change');
+        assert.isTrue(endpointPool.current.healthy, 'Single endpoint should not be marked as unhealthy');
+
+    });
+
+    it('should go back to the first healthy endpoint after a health check', async () => {
+
+        const endpointPool = new EndpointPool(HOST_URLS, createClientMock);
+        endpointPool.endpoints[0].client.eth.getBlockNumber.rejects(new Error('CONNECTION ERROR'));
+        endpointPool.endpoints[1].client.eth.getBlockNumber.resolves(100);
+        endpointPool.endpoints[2].client.eth.getBlockNumber.resolves(105);
+
+        const status = await endpointPool.checkHealth();
+
+        assert.deepEqual(status, [
+            { hostUrl: HOST_URLS[0], healthy: false, blockNumber: null },
+            { hostUrl: HOST_URLS[1], healthy: true, blockNumber: 100 },
+            { hostUrl: HOST_URLS[2], healthy: true, blockNumber: 105 },
+        ], 'Status is not as expected');
+        assert.equal(endpointPool.current.hostUrl, HOST_URLS[1], 'Should use the first healthy endpoint');
+
+        endpointPool.endpoints[0].client.eth.getBlockNumber.resolves(90);
+
+        await endpointPool.checkHealth();
+
+        assert.equal(endpointPool.current.hostUrl, HOST_URLS[0], 'Should go back to the first endpoint once healthy');
+
+    });
+
+    it('should prefer the endpoint with the highest block', async () => {
+
+        const endpointPool = new EndpointPool(HOST_URLS, createClientMock, { preferHighestBlock: true });
+        endpointPool.endpoints[0].client.eth.getBlockNumber.resolves(100);
+        endpointPool.endpoints[1].client.eth.getBlockNumber.resolves(105);
+        endpointPool.endpoints[2].client.eth.getBlockNumber.resolves(105);
+
+        await endpointPool.checkHealth();
+
+        assert.equal(endpointPool.current.hostUrl, HOST_URLS[1], 'Should use the first endpoint with the highest block');
+
+    });
+
+    it('should consider endpoints not answering in time as unhealthy', async () => {
+
+        const endpointPool = new EndpointPool(HOST_URLS.slice(0, 2), createClientMock, { healthCheckTimeoutMs: 10 });
+        endpointPool.endpoints[0].client.eth.getBlockNumber.returns(new Promise(() => {}));
+        endpointPool.endpoints[1].client.eth.getBlockNumber.resolves(100);
+
+        await endpointPool.checkHealth();
+
+        assert.isFalse(endpointPool.endpoints[0].healthy, 'Endpoint should be unhealthy');
+        assert.equal(endpointPool.current.hostUrl, HOST_URLS[1], 'Should use the healthy endpoint');
+
+    });
+
+    it('should keep the current endpoint when none is healthy', async () => {
+
+        const endpointPool = new EndpointPool(HOST_URLS.slice(0, 2), createClientMock);
+        endpointPool.failover();
+        endpointPool.endpoints.forEach(endpoint => endpoint.client.eth.getBlockNumber.rejects(new Error('CONNECTION ERROR')));
+
+        await endpointPool.checkHealth();
+
+        assert.equal(endpointPool.current.hostUrl, HOST_URLS[1], 'Current endpoint should not change');
+
+    });
+
+});
@@ -0,0 +1,221 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const RskTransactionHelper = require('../rsk-transaction-helper');
+const EventWatcher = require('../event-watcher');
+const chaiAsPromise = require('chai-as-promised');
+chai.use(chaiAsPromise);
+const assert = chai.assert;
+
+// No actual call to this host is being made, but it's needed for the `currentProvider` object to be created.
+const PROVIDER_URL = 'http://localhost:4444';
+
+const TEST_TOKEN_ADDRESS = '0xcfc833ca1ebb1d4fe19230585a601d0b392eeed7';
+const TEST_HOLDER_ADDRESS = '0x0671fcbf6c14b08a18cb8db6e5345efaecb907c4';
+
+const TEST_TOKEN_ABI = [
+    { type: 'event', name: 'Transfer', anonymous: false, inputs: [{ name: 'from', type: 'address', indexed: true }, { name: 'to', type: 'address', indexed: true }, { name: 'value', type: 'uint256', indexed: false }] },
+];
+
+const toBlockHash = (blockNumber, fork) => '0x' + `${fork}${blockNumber}`.padStart(64, '0');
+
+/**
+ * Stubs the node with a chain where every block hash depends on the fork it belongs to,
+ * so reorgs are simulated changing the fork of some blocks.
+ */
+const stubChain = (rskTransactionHelper, head) => {
+    const web3Client = rskTransactionHelper.getClient();
+    const abi = web3Client.eth.abi;
+    const chain = { head, forks: {}, logs: [] };
+    chain.hashOf = blockNumber => toBlockHash(blockNumber, chain.forks[blockNumber] || 'a');
+    chain.addTransfer = (blockNumber, value, logIndex = 0) => {
+        chain.logs.push({
+            address: TEST_TOKEN_ADDRESS,
+            blockNumber,
+            logIndex,
+            get blockHash() {
+                return chain.hashOf(blockNumber);
+            },
+            topics: [abi.encodeEventSignature(TEST_TOKEN_ABI[0]), abi.encodeParameter('address', TEST_HOLDER_ADDRESS), abi.encodeParameter('address', TEST_TOKEN_ADDRESS)],
+            data: abi.encodeParameter('uint256', value),
+        });
+    };
+    chain.reorg = (fromBlockNumber, fork) => {
+        chain.logs = chain.logs.filter(log => log.blockNumber < fromBlockNumber);
+        for(let blockNumber = fromBlockNumber; blockNumber <= chain.head; blockNumber++) {
+            chain.forks[blockNumber] = fork;
+        }
+    };
+    sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake(async () => chain.head));
+    sinon.replace(web3Client.eth, 'getBlock', sinon.fake(async blockNumber => ({ number: blockNumber, hash: chain.hashOf(blockNumber) })));
+    sinon.replace(web3Client.eth, 'getPastLogs', sinon.fake(async ({ fromBlock, toBlock }) => {
+        return chain.logs
+            .filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+            .map(log => Object.assign({}, log, { blockHash: log.blockHash }));
+    }));
+    return chain;
+};
+
+const createWatcher = (rskTransactionHelper, options) => {
+    const deliveries = [];
+    const handler = (error, event) => {
+        if(error) {
+            throw error;
+        }
+        deliveries.push(`${event.removed ? '-' : '+'}${event.returnValues.value}@${event.log.blockNumber}`);
+    };
+    const watcher = new EventWatcher(rskTransactionHelper, { address: TEST_TOKEN_ADDRESS, abi: TEST_TOKEN_ABI, eventName: 'Transfer' }, handler, options);
+    return { watcher, deliveries };
+};
+
+describe('EventWatcher tests', () => {
+
+    it('should only deliver events once they have enough confirmations', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const chain = stubChain(rskTransactionHelper, 105);
+        chain.addTransfer(101, 1);
+        chain.addTransfer(104, 2);
+
+        const { watcher, deliveries } = createWatcher(rskTransactionHelper, { confirmations: 3, startBlock: 100 });
+
+        await watcher.poll();
+
+        assert.deepEqual(deliveries, ['+1@101'], 'Only the event 3 blocks deep should be delivered');
+        assert.deepEqual(watcher.getCheckpoint(), { blockNumber: 103, blockHash: chain.hashOf(103) }, 'Checkpoint is not as expected');
+
+        chain.head = 106;
+        await watcher.poll();
+
+        assert.deepEqual(deliveries, ['+1@101', '+2@104'], 'The event should be delivered once confirmed');
+
+    });
+
+    it('should only deliver the events of blocks confirmed from now on without a start block', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const chain = stubChain(rskTransactionHelper, 50);
+        chain.addTransfer(48, 1);
+        chain.addTransfer(50, 2);
+
+        const { watcher, deliveries } = createWatcher(rskTransactionHelper, { confirmations: 1 });
+
+        await watcher.poll();
+        chain.head = 51;
+        chain.addTransfer(51, 3);
+        await watcher.poll();
+
+        assert.deepEqual(deliveries, ['+3@51'], 'Only the new events should be delivered');
+
+    });
+
+    it('should notify the removal of the events orphaned by a reorg and deliver the new ones', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const chain = stubChain(rskTransactionHelper, 110);
+        chain.addTransfer(100, 1);
+        chain.addTransfer(103, 2);
+        chain.addTransfer(103, 3, 1);
+        chain.addTransfer(105, 4);
+
+        const { watcher, deliveries } = createWatcher(rskTransactionHelper, { confirmations: 2, startBlock: 100 });
+
+        await watcher.poll();
+
+        assert.deepEqual(deliveries, ['+1@100', '+2@103', '+3@103', '+4@105'], 'Events are not as expected');
+
+        // Blocks from 103 on replaced by another fork, with a different event
+        chain.reorg(103, 'b');
+        chain.addTransfer(104, 5);
+        deliveries.length = 0;
+
+        await watcher.poll();
+
+        assert.deepEqual(deliveries, ['-4@105', '-3@103', '-2@103', '+5@104'], 'Orphaned events should be removed, newest first, before the new ones');
+        assert.deepEqual(watcher.getCheckpoint(), { blockNumber: 109, blockHash: chain.hashOf(109) }, 'Checkpoint is not as expected');
+        assert.equal(chain.hashOf(109), toBlockHash(109, 'b'), 'Checkpoint should be on the new fork');
+
+    });
+
+    it('should rescan without notifications when a shallow reorg orphans no event', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const chain = stubChain(rskTransactionHelper, 105);
+        chain.addTransfer(101, 1);
+
+        const { watcher, deliveries } = createWatcher(rskTransactionHelper, { confirmations: 1, startBlock: 100 });
+
+        await watcher.poll();
+
+        chain.reorg(105, 'b');
+        chain.head = 106;
+        chain.addTransfer(105, 2);
+
+        await watcher.poll();
+
+        assert.deepEqual(deliveries, ['+1@101', '+2@105'], 'Only the new event should be delivered');
+
+    });
+
+    it('should resume from a persisted checkpoint', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const chain = stubChain(rskTransactionHelper, 210);
+        chain.addTransfer(200, 1);
+        chain.addTransfer(201, 2);
+
+        const checkpoint = JSON.parse(JSON.stringify({ blockNumber: 200, blockHash: chain.hashOf(200) }));
+        const { watcher, deliveries } = createWatcher(rskTransactionHelper, { confirmations: 1, checkpoint });
+
+        await watcher.poll();
+
+        assert.deepEqual(deliveries, ['+2@201'], 'Only the events after the checkpoint should be delivered');
+        assert.equal(watcher.getCheckpoint().blockNumber, 210, 'Checkpoint is not as expected');
+
+    });
+
+    it('should rescan the last confirmations blocks when the checkpoint was reorged while stopped', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const chain = stubChain(rskTransactionHelper, 210);
+
+        const checkpoint = { blockNumber: 200, blockHash: chain.hashOf(200) };
+        chain.reorg(199, 'b');
+        chain.addTransfer(199, 1);
+
+        const { watcher, deliveries } = createWatcher(rskTransactionHelper, { confirmations: 3, checkpoint });
+
+        await watcher.poll();
+
+        assert.deepEqual(deliveries, ['+1@199'], 'The event of the new fork should be delivered');
+
+    });
+
+    it('should poll until unsubscribed when started through the helper', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const chain = stubChain(rskTransactionHelper, 10);
+        chain.addTransfer(10, 1);
+
+        const events = [];
+        const watcher = rskTransactionHelper.watchEvents({ abi: TEST_TOKEN_ABI }, (error, event) => events.push(event), { confirmations: 1, startBlock: 0, pollIntervalMs: 10 });
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await watcher.unsubscribe();
+
+        assert.lengthOf(events, 1, 'The event should be delivered once');
+        assert.isFalse(events[0].removed, 'Event should not be removed');
+        assert.equal(events[0].event, 'Transfer', 'Event is not as expected');
+        assert.equal(rskTransactionHelper.subscriptions.size, 0, 'Subscription should be removed');
+
+    });
+
+    it('should fail to watch events with invalid options', () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+
+        assert.throws(() => rskTransactionHelper.watchEvents({ abi: TEST_TOKEN_ABI }, () => {}, { confirmations: 0 }), 'Invalid `confirmations` provided. Needs to be greater than 0 if provided.');
+        assert.throws(() => rskTransactionHelper.watchEvents({ abi: TEST_TOKEN_ABI }), 'Invalid handler provided. Expected a function.');
+
+    });
+
+});
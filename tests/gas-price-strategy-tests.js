@@ -0,0 +1,120 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const Web3 = require('web3');
+const { createGasPriceStrategy, resolveGasPrice } = require('../gas-price-strategy');
+const chaiAsPromise = require('chai-as-promised');
+chai.use(chaiAsPromise);
+const assert = chai.assert;
+
+const toBN = Web3.utils.toBN;
+
+const buildSources = (nodeGasPrice, minimumGasPrice) => ({
+    getNodeGasPrice: sinon.fake.resolves(toBN(nodeGasPrice)),
+    getMinimumGasPrice: sinon.fake.resolves(toBN(minimumGasPrice)),
+    rskTransactionHelper: {},
+});
+
+describe('Gas price strategy tests', () => {
+
+    it('should use the node gas price by default', async () => {
+
+        const gasPriceStrategy = createGasPriceStrategy({});
+
+        const result = await resolveGasPrice(gasPriceStrategy, buildSources(65000000, 60000000));
+
+        assert.equal(result.gasPrice.toString(), '65000000', 'Gas price is not as expected');
+        assert.equal(result.strategy, 'node', 'Strategy is not as expected');
+        assert.equal(result.minimumGasPrice.toString(), '60000000', 'Minimum gas price is not as expected');
+
+    });
+
+    it('should never go below the block minimum gas price', async () => {
+
+        const gasPriceStrategy = createGasPriceStrategy({});
+
+        const result = await resolveGasPrice(gasPriceStrategy, buildSources(1, 60000000));
+
+        assert.equal(result.gasPrice.toString(), '60000000', 'Gas price should be raised to the minimum');
+
+        const fixedGasPriceStrategy = createGasPriceStrategy({ gasPriceStrategy: { strategy: 'fixed', value: 1000 } });
+
+        const fixedResult = await resolveGasPrice(fixedGasPriceStrategy, buildSources(1, 60000000));
+
+        assert.equal(fixedResult.gasPrice.toString(), '60000000', 'Fixed gas price should be raised to the minimum');
+
+    });
+
+    it('should add the margin to the block minimum gas price', async () => {
+
+        const gasPriceStrategy = createGasPriceStrategy({ gasPriceStrategy: { strategy: 'minimumGasPrice', marginPercent: 5 } });
+        const sources = buildSources(1, 60000001);
+
+        const result = await resolveGasPrice(gasPriceStrategy, sources);
+
+        // 60000001 * 1.05 = 63000001.05, rounded up
+        assert.equal(result.gasPrice.toString(), '63000002', 'Gas price is not as expected');
+        assert.equal(result.strategy, 'minimumGasPrice', 'Strategy is not as expected');
+        sinon.assert.notCalled(sources.getNodeGasPrice);
+
+    });
+
+    it('should use a fixed gas price', async () => {
+
+        const gasPriceStrategy = createGasPriceStrategy({ gasPriceStrategy: { strategy: 'fixed', value: '70000000' } });
+
+        const result = await resolveGasPrice(gasPriceStrategy, buildSources(1, 60000000));
+
+        assert.equal(result.gasPrice.toString(), '70000000', 'Gas price is not as expected');
+        assert.equal(result.strategy, 'fixed', 'Strategy is not as expected');
+
+    });
+
+    it('should apply the multiplier and the cap', async () => {
+
+        const gasPriceStrategy = createGasPriceStrategy({ gasPriceStrategy: { multiplier: 1.5 } });
+
+        const result = await resolveGasPrice(gasPriceStrategy, buildSources(60000000, 60000000));
+
+        assert.equal(result.gasPrice.toString(), '90000000', 'Gas price is not as expected');
+
+        const cappedGasPriceStrategy = createGasPriceStrategy({ gasPriceStrategy: { multiplier: 1.5, maxGasPrice: 80000000 } });
+
+        const cappedResult = await resolveGasPrice(cappedGasPriceStrategy, buildSources(60000000, 60000000));
+
+        assert.equal(cappedResult.gasPrice.toString(), '80000000', 'Gas price should be capped');
+
+    });
+
+    it('should fail when the cap is below the block minimum gas price', async () => {
+
+        const gasPriceStrategy = createGasPriceStrategy({ gasPriceStrategy: { maxGasPrice: 50000000 } });
+
+        await chai.expect(resolveGasPrice(gasPriceStrategy, buildSources(60000000, 60000000))).to.eventually.be.rejectedWith('maxGasPrice 50000000 is below the block minimumGasPrice 60000000');
+
+    });
+
+    it('should use a custom strategy function', async () => {
+
+        const rskTransactionHelper = {};
+        const strategy = sinon.fake.resolves('75000000');
+        const gasPriceStrategy = createGasPriceStrategy({ gasPriceStrategy: { strategy } });
+
+        const result = await resolveGasPrice(gasPriceStrategy, Object.assign(buildSources(1, 60000000), { rskTransactionHelper }));
+
+        assert.equal(result.gasPrice.toString(), '75000000', 'Gas price is not as expected');
+        assert.equal(result.strategy, 'custom', 'Strategy is not as expected');
+        sinon.assert.calledOnceWithExactly(strategy, rskTransactionHelper);
+
+    });
+
+    it('should fail with invalid strategies', () => {
+
+        assert.throws(() => createGasPriceStrategy({ gasPriceStrategy: { strategy: 'cheapest' } }), 'Invalid gas price strategy provided: cheapest');
+        assert.throws(() => createGasPriceStrategy({ gasPriceStrategy: { strategy: 'fixed' } }), 'A value is required for the fixed gas price strategy');
+        assert.throws(() => createGasPriceStrategy({ gasPriceStrategy: { multiplier: 0 } }), 'Invalid multiplier provided. Must be greater than 0.');
+        assert.throws(() => createGasPriceStrategy({ gasPriceStrategy: { marginPercent: -1 } }), 'Invalid marginPercent provided. Must not be negative.');
+        assert.throws(() => createGasPriceStrategy({ gasPriceStrategy: { maxGasPrice: 0 } }), 'Invalid maxGasPrice provided. Must be greater than 0.');
+
+    });
+
+});
@@ -0,0 +1,51 @@
+const chai = require('chai');
+const Web3 = require('web3');
+const { decodeLogs } = require('../log-decoder');
+const assert = chai.assert;
+
+const abiCoder = new Web3().eth.abi;
+
+const TEST_CONTRACT_ADDRESS = '0xcfc833ca1ebb1d4fe19230585a601d0b392eeed7';
+const TEST_OTHER_ADDRESS = '0x0671fcbf6c14b08a18cb8db6e5345efaecb907c4';
+
+const TEST_ABI = [
+    { type: 'event', name: 'Transfer', anonymous: false, inputs: [{ name: 'from', type: 'address', indexed: true }, { name: 'to', type: 'address', indexed: true }, { name: 'value', type: 'uint256', indexed: false }] },
+    { type: 'event', name: 'Paused', anonymous: false, inputs: [] },
+];
+
+const transferLog = (address, value) => ({
+    address,
+    topics: [
+        abiCoder.encodeEventSignature(TEST_ABI[0]),
+        abiCoder.encodeParameter('address', TEST_OTHER_ADDRESS),
+        abiCoder.encodeParameter('address', TEST_CONTRACT_ADDRESS),
+    ],
+    data: abiCoder.encodeParameter('uint256', value),
+});
+
+describe('Log decoder tests', () => {
+
+    it('should decode the logs matching the abi events, in order', () => {
+
+        const pausedLog = { address: TEST_CONTRACT_ADDRESS, topics: [abiCoder.encodeEventSignature(TEST_ABI[1])], data: '0x' };
+        const unknownLog = { address: TEST_CONTRACT_ADDRESS, topics: [abiCoder.encodeEventSignature('Unknown()')], data: '0x' };
+
+        const events = decodeLogs([transferLog(TEST_CONTRACT_ADDRESS, 5), unknownLog, pausedLog], TEST_ABI, abiCoder);
+
+        assert.deepEqual(events.map(event => event.event), ['Transfer', 'Paused'], 'Events are not as expected');
+        assert.equal(events[0].returnValues.value, '5', 'Value is not as expected');
+        assert.equal(events[0].returnValues.from.toLowerCase(), TEST_OTHER_ADDRESS, 'From is not as expected');
+        assert.equal(events[1].log, pausedLog, 'The raw log should be kept');
+
+    });
+
+    it('should only decode the logs of the given contract address', () => {
+
+        const events = decodeLogs([transferLog(TEST_OTHER_ADDRESS, 1), transferLog(TEST_CONTRACT_ADDRESS.toUpperCase().replace('0X', '0x'), 2)], TEST_ABI, abiCoder, TEST_CONTRACT_ADDRESS);
+
+        assert.lengthOf(events, 1, 'Only one event should be decoded');
+        assert.equal(events[0].returnValues.value, '2', 'Value is not as expected');
+
+    });
+
+});
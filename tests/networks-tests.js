@@ -0,0 +1,38 @@
+const chai = require('chai');
+const { NETWORK_PRESETS, getNetworkPreset } = require('../networks');
+const { ConfigurationError } = require('../rsk-transaction-helper-error');
+const { BRIDGE_ADDRESS } = require('../bridge');
+const assert = chai.assert;
+
+describe('Networks tests', () => {
+
+    it('should return the preset of each Rootstock network', () => {
+
+        assert.equal(getNetworkPreset('mainnet').chainId, 30, 'Mainnet chainId is not as expected');
+        assert.equal(getNetworkPreset('testnet').chainId, 31, 'Testnet chainId is not as expected');
+        assert.equal(getNetworkPreset('regtest').chainId, 33, 'Regtest chainId is not as expected');
+
+        assert.equal(getNetworkPreset('mainnet').derivationPath, 'm/44\'/137\'/0\'/0/0', 'Mainnet derivation path is not as expected');
+        assert.equal(getNetworkPreset('testnet').derivationPath, 'm/44\'/37310\'/0\'/0/0', 'Testnet derivation path is not as expected');
+        assert.equal(getNetworkPreset('testnet').bridgeAddress, BRIDGE_ADDRESS, 'Bridge address is not as expected');
+        assert.isNull(getNetworkPreset('regtest').explorerUrl, 'Regtest should have no explorer');
+
+    });
+
+    it('should return a copy of the preset', () => {
+
+        const preset = getNetworkPreset('testnet');
+        preset.chainId = 1;
+
+        assert.equal(NETWORK_PRESETS.testnet.chainId, 31, 'Preset should not be modified');
+
+    });
+
+    it('should fail with a ConfigurationError for an unknown network', () => {
+
+        assert.throws(() => getNetworkPreset('devnet'), ConfigurationError, 'Unknown network provided: devnet. Expected one of mainnet, testnet, regtest.');
+        assert.throws(() => getNetworkPreset('toString'), ConfigurationError);
+
+    });
+
+});
@@ -0,0 +1,84 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const NonceManager = require('../nonce-manager');
+const chaiAsPromise = require('chai-as-promised');
+chai.use(chaiAsPromise);
+const assert = chai.assert;
+
+const TEST_SENDER_ADDRESS = '0x0671fcbf6c14b08a18cb8db6e5345efaecb907c4';
+const TEST_OTHER_SENDER_ADDRESS = '0xcfc833ca1ebb1d4fe19230585a601d0b392eeed7';
+
+describe('NonceManager tests', () => {
+
+    it('should hand out sequential nonces to concurrent callers', async () => {
+
+        const fetchPendingNonce = sinon.fake.resolves(5);
+        const nonceManager = new NonceManager(fetchPendingNonce);
+
+        const nonces = await Promise.all([
+            nonceManager.next(TEST_SENDER_ADDRESS),
+            nonceManager.next(TEST_SENDER_ADDRESS),
+            nonceManager.next(TEST_SENDER_ADDRESS),
+        ]);
+
+        assert.deepEqual(nonces, [5, 6, 7], 'Nonces should be sequential');
+
+    });
+
+    it('should track nonces per address', async () => {
+
+        const fetchPendingNonce = sinon.fake(async address => address.toLowerCase() === TEST_SENDER_ADDRESS ? 5 : 10);
+        const nonceManager = new NonceManager(fetchPendingNonce);
+
+        const nonces = await Promise.all([
+            nonceManager.next(TEST_SENDER_ADDRESS),
+            nonceManager.next(TEST_OTHER_SENDER_ADDRESS),
+            nonceManager.next(TEST_SENDER_ADDRESS.toUpperCase().replace('0X', '0x')),
+        ]);
+
+        assert.deepEqual(nonces, [5, 10, 6], 'Nonces should be tracked per address regardless of its case');
+
+    });
+
+    it('should use the node pending nonce when it is ahead of the local one', async () => {
+
+        const fetchPendingNonce = sinon.stub();
+        fetchPendingNonce.onCall(0).resolves(5);
+        fetchPendingNonce.onCall(1).resolves(9);
+
+        const nonceManager = new NonceManager(fetchPendingNonce);
+
+        assert.equal(await nonceManager.next(TEST_SENDER_ADDRESS), 5);
+        assert.equal(await nonceManager.next(TEST_SENDER_ADDRESS), 9);
+
+    });
+
+    it('should resync from the node after being reset', async () => {
+
+        const fetchPendingNonce = sinon.fake.resolves(5);
+        const nonceManager = new NonceManager(fetchPendingNonce);
+
+        assert.equal(await nonceManager.next(TEST_SENDER_ADDRESS), 5);
+        assert.equal(await nonceManager.next(TEST_SENDER_ADDRESS), 6);
+
+        nonceManager.reset(TEST_SENDER_ADDRESS);
+
+        assert.equal(await nonceManager.next(TEST_SENDER_ADDRESS), 5);
+
+    });
+
+    it('should keep serving nonces after a failed fetch', async () => {
+
+        const fetchPendingNonce = sinon.stub();
+        fetchPendingNonce.onCall(0).rejects(new Error('Error getting transaction count'));
+        fetchPendingNonce.resolves(5);
+
+        const nonceManager = new NonceManager(fetchPendingNonce);
+
+        await chai.expect(nonceManager.next(TEST_SENDER_ADDRESS)).to.eventually.be.rejectedWith('Error getting transaction count');
+
+        assert.equal(await nonceManager.next(TEST_SENDER_ADDRESS), 5);
+
+    });
+
+});
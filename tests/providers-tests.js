@@ -0,0 +1,72 @@
+const chai = require('chai');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Web3 = require('web3');
+const { createProvider, closeProvider, supportsSubscriptions, isIpcPath } = require('../providers');
+const assert = chai.assert;
+
+const waitFor = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('Providers tests', () => {
+
+    it('should default to http when no protocol is given', () => {
+
+        assert.equal(createProvider('localhost:4444'), 'http://localhost:4444', 'Host is not as expected');
+        assert.equal(createProvider('https://public-node.rsk.co'), 'https://public-node.rsk.co', 'Host is not as expected');
+
+    });
+
+    it('should create a reconnecting websocket provider for ws urls', () => {
+
+        const provider = createProvider('ws://localhost:4445/websocket', { delay: 100, maxAttempts: 3 });
+
+        assert.instanceOf(provider, Web3.providers.WebsocketProvider, 'Should be a websocket provider');
+        assert.deepEqual(provider.reconnectOptions, { auto: true, delay: 100, maxAttempts: 3, onTimeout: false }, 'Reconnect options are not as expected');
+        assert.isTrue(supportsSubscriptions(provider), 'Websocket provider should support subscriptions');
+
+        closeProvider(provider);
+
+        assert.isFalse(provider.reconnectOptions.auto, 'Should not reconnect after being closed');
+
+    });
+
+    it('should detect IPC paths', () => {
+
+        assert.isTrue(isIpcPath('/home/rsk/.rsk/regtest/rskj.ipc'), 'Absolute path should be an IPC path');
+        assert.isTrue(isIpcPath('rskj.ipc'), '.ipc file should be an IPC path');
+        assert.isTrue(isIpcPath('\\\\.\\pipe\\rskj.ipc'), 'Windows named pipe should be an IPC path');
+        assert.isFalse(isIpcPath('localhost:4444'), 'Host should not be an IPC path');
+        assert.isFalse(supportsSubscriptions(createProvider('localhost:4444')), 'Http should not support subscriptions');
+
+    });
+
+    it('should reconnect an IPC provider when the socket drops', async () => {
+
+        const socketPath = path.join(os.tmpdir(), `rsk-transaction-helper-${process.pid}.ipc`);
+        const sockets = [];
+        const server = net.createServer(socket => {
+            sockets.push(socket);
+            server.emit('client');
+        });
+        await new Promise(resolve => server.listen(socketPath, resolve));
+
+        const provider = createProvider(socketPath, { delay: 10 });
+
+        try {
+            assert.instanceOf(provider, Web3.providers.IpcProvider, 'Should be an IPC provider');
+
+            await waitFor(server, 'client');
+            sockets[0].destroy();
+            await waitFor(server, 'client');
+
+            assert.lengthOf(sockets, 2, 'Provider should have reconnected');
+        } finally {
+            closeProvider(provider);
+            sockets.forEach(socket => socket.destroy());
+            await new Promise(resolve => server.close(resolve));
+        }
+
+    });
+
+});
@@ -0,0 +1,96 @@
+const chai = require('chai');
+const { isRetryableError, isUndeliveredError, isAlreadyKnownError, createRetryPolicy, getRetryDelay } = require('../retry-policy');
+const assert = chai.assert;
+
+describe('Retry policy tests', () => {
+
+    it('should classify connection, timeout and gateway errors as retryable', () => {
+
+        assert.isTrue(isRetryableError(new Error(`CONNECTION ERROR: Couldn't connect to node http://localhost:4444.`)), 'Connection error should be retryable');
+        assert.isTrue(isRetryableError(new Error('CONNECTION TIMEOUT: timeout of 1000 ms achived')), 'Timeout should be retryable');
+        assert.isTrue(isRetryableError(Object.assign(new Error('read'), { code: 'ECONNRESET' })), 'ECONNRESET should be retryable');
+        assert.isTrue(isRetryableError(new Error('Invalid JSON RPC response: "<html>503 Service Temporarily Unavailable</html>"')), '503 should be retryable');
+        assert.isTrue(isRetryableError(Object.assign(new Error('rate limited'), { status: 429 })), '429 should be retryable');
+        assert.isTrue(isRetryableError(new Error('Returned error: header not found')), '"header not found" should be retryable');
+
+    });
+
+    it('should not classify node errors as retryable', () => {
+
+        assert.isFalse(isRetryableError(new Error('Returned error: nonce too low')), 'Nonce error should not be retryable');
+        assert.isFalse(isRetryableError(new Error('Returned error: execution reverted')), 'Revert should not be retryable');
+        assert.isFalse(isRetryableError({ message: 'A different error' }), 'Unknown error should not be retryable');
+        assert.isFalse(isRetryableError(undefined), 'Undefined error should not be retryable');
+
+    });
+
+    it('should only classify errors before the request is sent as undelivered', () => {
+
+        assert.isTrue(isUndeliveredError(new Error(`CONNECTION ERROR: Couldn't connect to node http://localhost:4444.`)), 'Connection error should be undelivered');
+        assert.isTrue(isUndeliveredError(Object.assign(new Error('connect'), { code: 'ECONNREFUSED' })), 'ECONNREFUSED should be undelivered');
+        assert.isTrue(isUndeliveredError(new Error('connection not open on send()')), 'Closed websocket should be undelivered');
+        assert.isFalse(isUndeliveredError(new Error('CONNECTION TIMEOUT: timeout of 1000 ms achived')), 'Timeout may have been delivered');
+        assert.isFalse(isUndeliveredError(Object.assign(new Error('read'), { code: 'ECONNRESET' })), 'ECONNRESET may have been delivered');
+        assert.isFalse(isUndeliveredError(new Error('socket hang up')), '"socket hang up" may have been delivered');
+        assert.isFalse(isUndeliveredError(undefined), 'Undefined error should not be undelivered');
+
+    });
+
+    it('should detect transactions already known by the node', () => {
+
+        assert.isTrue(isAlreadyKnownError(new Error('Returned error: already known')), '"already known" should be detected');
+        assert.isTrue(isAlreadyKnownError(new Error('Returned error: transaction 0x01 already in pool')), '"already in pool" should be detected');
+        assert.isFalse(isAlreadyKnownError(new Error('Returned error: nonce too low')), 'Nonce error should not be detected');
+
+    });
+
+    it('should build the retry policy from the config', () => {
+
+        const shouldRetry = () => true;
+
+        const retryPolicy = createRetryPolicy({ maxAttempts: 3, attemptDelay: 500, retryPolicy: { jitter: 0, shouldRetry } });
+
+        assert.equal(retryPolicy.maxAttempts, 3, 'maxAttempts should be taken from the config');
+        assert.equal(retryPolicy.initialDelayMs, 500, 'initialDelayMs should be taken from `attemptDelay`');
+        assert.equal(retryPolicy.jitter, 0, 'jitter should be taken from `retryPolicy`');
+        assert.equal(retryPolicy.shouldRetry, shouldRetry, 'shouldRetry should be taken from `retryPolicy`');
+        assert.equal(retryPolicy.backoffFactor, 1, 'backoffFactor should default to 1');
+
+    });
+
+    it('should wait the same `attemptDelay` before every attempt by default', () => {
+
+        const retryPolicy = createRetryPolicy({ maxAttempts: 5, attemptDelay: 1000 });
+
+        assert.deepEqual([1, 2, 3, 4].map(attempt => getRetryDelay(retryPolicy, attempt)), [1000, 1000, 1000, 1000], 'Delays are not as expected');
+
+    });
+
+    it('should fail to build a retry policy with invalid values', () => {
+
+        assert.throws(() => createRetryPolicy({ maxAttempts: 0 }), 'Invalid maxAttempts provided. Must be greater than 0.');
+        assert.throws(() => createRetryPolicy({ maxAttempts: 1, retryPolicy: { jitter: 2 } }), 'Invalid jitter provided. Must be between 0 and 1.');
+
+    });
+
+    it('should grow the delay exponentially up to the max delay', () => {
+
+        const retryPolicy = createRetryPolicy({ maxAttempts: 5, attemptDelay: 100, retryPolicy: { backoffFactor: 2, maxDelayMs: 500 } });
+
+        assert.deepEqual([1, 2, 3, 4].map(attempt => getRetryDelay(retryPolicy, attempt)), [100, 200, 400, 500], 'Delays are not as expected');
+
+    });
+
+    it('should apply jitter within the configured fraction', () => {
+
+        const retryPolicy = createRetryPolicy({ maxAttempts: 5, attemptDelay: 1000, retryPolicy: { jitter: 0.5 } });
+
+        for(let i = 0; i < 20; i++) {
+            const delay = getRetryDelay(retryPolicy, 1);
+            assert.isAtLeast(delay, 500, 'Delay should not be lower than the jitter allows');
+            assert.isAtMost(delay, 1500, 'Delay should not be greater than the jitter allows');
+        }
+
+    });
+
+});
@@ -0,0 +1,81 @@
+const chai = require('chai');
+const Web3 = require('web3');
+const { isRevertError, extractRevertData, decodeRevertData } = require('../revert-decoder');
+const assert = chai.assert;
+
+const abiCoder = new Web3().eth.abi;
+
+const encodeError = (signature, types, values) => abiCoder.encodeFunctionSignature(signature) + abiCoder.encodeParameters(types, values).substring(2);
+
+describe('Revert decoder tests', () => {
+
+    it('should decode Error(string) reverts', () => {
+
+        const data = encodeError('Error(string)', ['string'], ['Insufficient allowance']);
+
+        const revert = decodeRevertData(data, abiCoder);
+
+        assert.equal(revert.reason, 'Insufficient allowance', 'Reason is not as expected');
+        assert.equal(revert.errorName, 'Error', 'Error name is not as expected');
+        assert.equal(revert.data, data, 'Data is not as expected');
+
+    });
+
+    it('should decode Panic(uint256) reverts', () => {
+
+        const data = encodeError('Panic(uint256)', ['uint256'], [0x11]);
+
+        const revert = decodeRevertData(data, abiCoder);
+
+        assert.equal(revert.reason, 'Panic(0x11): arithmetic overflow or underflow', 'Reason is not as expected');
+        assert.equal(revert.errorName, 'Panic', 'Error name is not as expected');
+
+    });
+
+    it('should not decode empty, unknown or malformed revert data', () => {
+
+        assert.isNull(decodeRevertData(null, abiCoder).reason, 'Missing data should have no reason');
+        assert.isNull(decodeRevertData('0x', abiCoder).reason, 'Empty data should have no reason');
+        assert.isNull(decodeRevertData('0x12345678', abiCoder).reason, 'Unknown selector should have no reason');
+        assert.isNull(decodeRevertData('0x08c379a00000', abiCoder).reason, 'Malformed data should have no reason');
+
+    });
+
+    it('should extract the revert data from node errors', () => {
+
+        assert.equal(extractRevertData({ data: '0x08c379a0' }), '0x08c379a0', 'Data is not as expected');
+        assert.equal(extractRevertData({ data: { data: '0x08c379a0' } }), '0x08c379a0', 'Nested data is not as expected');
+        assert.equal(extractRevertData({ data: { result: '0x08c379a0' } }), '0x08c379a0', 'Result data is not as expected');
+        assert.isNull(extractRevertData({ data: 'not hex' }), 'Non hex data should be ignored');
+        assert.isNull(extractRevertData(new Error('Returned error: execution reverted')), 'Error without data should have no data');
+
+    });
+
+    it('should detect revert errors', () => {
+
+        assert.isTrue(isRevertError(new Error('Returned error: execution reverted: Insufficient allowance')), 'Should be a revert');
+        assert.isTrue(isRevertError(new Error('Returned error: VM execution error: transaction reverted')), 'Should be a revert');
+        assert.isFalse(isRevertError(new Error('Returned error: nonce too low')), 'Should not be a revert');
+
+    });
+
+    it('should decode custom errors declared in the ABI', () => {
+
+        const abi = [
+            { type: 'function', name: 'transfer', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [] },
+            { type: 'error', name: 'InsufficientBalance', inputs: [{ name: 'available', type: 'uint256' }, { name: 'required', type: 'uint256' }] },
+        ];
+        const data = encodeError('InsufficientBalance(uint256,uint256)', ['uint256', 'uint256'], [100, 250]);
+
+        const revert = decodeRevertData(data, abiCoder, abi);
+
+        assert.equal(revert.reason, 'InsufficientBalance(100, 250)', 'Reason is not as expected');
+        assert.equal(revert.errorName, 'InsufficientBalance', 'Error name is not as expected');
+        assert.equal(revert.args.available, '100', 'Args are not as expected');
+        assert.equal(revert.args.required, '250', 'Args are not as expected');
+
+        assert.isNull(decodeRevertData(data, abiCoder).reason, 'Custom error should not be decoded without its ABI');
+
+    });
+
+});
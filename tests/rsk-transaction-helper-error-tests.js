@@ -0,0 +1,100 @@
+const chai = require('chai');
+const Web3 = require('web3');
+const RskTransactionHelperError = require('../rsk-transaction-helper-error');
+const {
+    ConfigurationError,
+    InvalidArgumentError,
+    ConnectionError,
+    InsufficientBalanceError,
+    NonceError,
+    TimeoutError,
+    RpcError,
+    RetryError,
+    RevertError,
+} = RskTransactionHelperError;
+const assert = chai.assert;
+
+describe('RskTransactionHelperError tests', () => {
+
+    it('should keep the error that caused it', () => {
+
+        const cause = new Error('Returned error: nonce too low');
+
+        const error = new NonceError('Error signing and sending transaction', cause);
+
+        assert.instanceOf(error, RskTransactionHelperError, 'Should be a RskTransactionHelperError');
+        assert.equal(error.cause, cause, 'Cause is not as expected');
+        assert.equal(error.name, 'NonceError', 'Name is not as expected');
+        assert.equal(error.code, 'NONCE_ERROR', 'Code is not as expected');
+
+    });
+
+    it('should be created without a cause', () => {
+
+        const error = new RskTransactionHelperError('Something failed');
+
+        assert.isUndefined(error.cause, 'Should have no cause');
+        assert.equal(error.code, 'RSK_TRANSACTION_HELPER_ERROR', 'Code is not as expected');
+
+    });
+
+    it('should have a stable code for every error', () => {
+
+        const codes = [
+            new ConfigurationError('chainId not provided'),
+            new InvalidArgumentError('Invalid private key provided'),
+            new ConnectionError('Could not connect'),
+            new InsufficientBalanceError(Web3.utils.toBN(2), Web3.utils.toBN(1)),
+            new NonceError('nonce too low'),
+            new TimeoutError('Timed out'),
+            new RpcError({ code: -32601, message: 'Method not found' }, 'evm_mine'),
+            new RetryError('Failed', [new Error('ECONNRESET')]),
+            new RevertError('Reverted', { reason: null, errorName: null, args: null, data: null }),
+        ].map(error => error.code);
+
+        assert.deepEqual(codes, [
+            'CONFIGURATION_ERROR',
+            'INVALID_ARGUMENT_ERROR',
+            'CONNECTION_ERROR',
+            'INSUFFICIENT_BALANCE_ERROR',
+            'NONCE_ERROR',
+            'TIMEOUT_ERROR',
+            'RPC_ERROR',
+            'CONNECTION_ERROR',
+            'REVERT_ERROR',
+        ], 'Codes are not as expected');
+
+    });
+
+    it('should carry the required and available balances', () => {
+
+        const required = Web3.utils.toBN('1000000000000000000');
+        const available = Web3.utils.toBN('999');
+
+        const error = new InsufficientBalanceError(required, available);
+
+        assert.equal(error.message, 'Insufficient balance. Required: 1000000000000000000, current balance: 999', 'Message is not as expected');
+        assert.isTrue(error.required.eq(required), 'Required balance is not as expected');
+        assert.isTrue(error.available.eq(available), 'Available balance is not as expected');
+        assert.isNull(error.asset, 'Asset should not be set');
+
+        const tokenError = new InsufficientBalanceError(required, available, 'RIF');
+
+        assert.equal(tokenError.message, 'Insufficient RIF balance. Required: 1000000000000000000, current balance: 999', 'Token message is not as expected');
+        assert.equal(tokenError.asset, 'RIF', 'Asset is not as expected');
+
+    });
+
+    it('should consider exhausted retries a connection error', () => {
+
+        const errors = [new Error('ECONNRESET'), new Error('ETIMEDOUT')];
+
+        const error = new RetryError('Failed to execute function after attempting 2 time(s)', errors);
+
+        assert.instanceOf(error, ConnectionError, 'Should be a ConnectionError');
+        assert.equal(error.cause, errors[1], 'Cause should be the last error');
+        assert.deepEqual(error.errors, errors, 'Errors are not as expected');
+
+    });
+
+});
@@ -2,10 +2,23 @@ const chai = require('chai');
 const sinon = require('sinon');
 const RskTransactionHelper = require('../rsk-transaction-helper');
 const RskTransactionHelperError = require('../rsk-transaction-helper-error');
+const { toChecksumAddress } = require('../address-utils');
+const {
+    ConfigurationError,
+    ConnectionError,
+    InvalidArgumentError,
+    InsufficientBalanceError,
+    NonceError,
+    TimeoutError,
+    RpcError,
+    RetryError,
+    RevertError,
+} = RskTransactionHelperError;
 const chaiAsPromise = require('chai-as-promised');
 chai.use(chaiAsPromise);
 const assert = chai.assert;
 const rewire = require('rewire');
+const Tx = require('ethereumjs-tx');
 
 const EventEmitter = require('events').EventEmitter;
 
@@ -76,7 +89,7 @@ describe('RskTransactionHelper tests', () => {
         assert.equal(evmIncreaseTimeCall.args[0].method, 'evm_increaseTime', 'First call has to be to `evm_increaseTime`');
         assert.equal(evmMineCall.args[0].method, 'evm_mine', 'Second call has to be to `evm_mine`');
 
-        assert.equal(evmIncreaseTimeCall.args[0].params[0], 60000, 'Increase time param is 6000 milliseconds, which is a minute');
+        assert.equal(evmIncreaseTimeCall.args[0].params[0], 60, 'Increase time param is 60 seconds, which is a minute');
 
         assert.notEqual(evmIncreaseTimeCall.args[0].id, evmMineCall.args[0].id, 'Both calls ids should be different');
 
@@ -149,7 +162,7 @@ describe('RskTransactionHelper tests', () => {
 
         assert.equal(evmIncreaseTimeCall.args[0].method, 'evm_increaseTime', 'First call has to be to `evm_increaseTime`');
 
-        assert.equal(evmIncreaseTimeCall.args[0].params[0], 60000, 'Increase time param is 6000 milliseconds, which is a minute');
+        assert.equal(evmIncreaseTimeCall.args[0].params[0], 60, 'Increase time param is 60 seconds, which is a minute');
 
         assert.equal(evmIncreaseTimeCall.args[0].jsonrpc, '2.0', 'Expected jsonrpc version for first call is `2.0`');
 
@@ -180,7 +193,7 @@ describe('RskTransactionHelper tests', () => {
         assert.equal(evmIncreaseTimeCall.args[0].method, 'evm_increaseTime', 'First call has to be to `evm_increaseTime`');
         assert.equal(evmMineCall.args[0].method, 'evm_mine', 'Second call has to be to `evm_mine`');
 
-        assert.equal(evmIncreaseTimeCall.args[0].params[0], 60000, 'Increase time param is 6000 milliseconds, which is a minute');
+        assert.equal(evmIncreaseTimeCall.args[0].params[0], 60, 'Increase time param is 60 seconds, which is a minute');
 
         assert.notEqual(evmIncreaseTimeCall.args[0].id, evmMineCall.args[0].id, 'Both calls ids should be different');
 
@@ -280,6 +293,10 @@ describe('RskTransactionHelper tests', () => {
         });
 
         const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
 
         const expectedGasPrice = 1000;
 
@@ -302,25 +319,75 @@ describe('RskTransactionHelper tests', () => {
 
         const result = await promise;
 
-        assert.equal(result, TEST_TX_HASH, "Transaction hash is not as expected");
+        assert.equal(result.hash, TEST_TX_HASH, "Transaction hash is not as expected");
+        assert.equal(result.nonce, 5, 'Nonce is not as expected');
+        assert.equal(result.gasPrice.toString(), expectedGasPrice.toString(), 'Gas price is not as expected');
+        assert.equal(result.gasLimit.toString(), TRANSFER_GAS_COST.toString(), 'Gas limit is not as expected');
+        assert.equal(result.rawTransaction, `0x${TEST_SERIALIZED_TX_HEX}`, 'Raw transaction is not as expected');
+        assert.equal(result.from, TEST_SENDER_ADDRESS, 'From address is not as expected');
 
         assert.isTrue(web3Client.eth.sendSignedTransaction.calledWithMatch(TEST_SERIALIZED_TX_HEX), 'sendSignedTransaction was not called with expected data');
 
     });
 
-    it('should fail to transfer funds when chainId is not provided', async () => {
+    it('should send from and to EIP-1191 checksummed addresses', async () => {
 
         const rskTransactionHelper = new RskTransactionHelper({
-            hostUrl: PROVIDER_URL
+            hostUrl: PROVIDER_URL,
+            chainId: 30
         });
 
-        const expectedGasPrice = 1000;
+        const web3Client = rskTransactionHelper.getClient();
+
+        const senderAddress = toChecksumAddress(TEST_SENDER_ADDRESS, 30);
+        const recipientAddress = toChecksumAddress(TEST_RECIPIENT_ADDRESS, 30);
+
+        // Stubbing the provider, so the addresses go through the `web3` validations
+        const results = {
+            eth_chainId: '0x1e',
+            eth_getBalance: '0xde0b6b3a7640000',
+            eth_estimateGas: '0x5208',
+            eth_getTransactionCount: '0x5',
+            eth_getBlockByNumber: { number: '0xa', gasLimit: '0x67c280', minimumGasPrice: '0x0', transactions: [] },
+        };
+        const sendStub = sinon.stub(web3Client.currentProvider, 'send').callsFake((payload, callback) => {
+            callback(null, { jsonrpc: '2.0', id: payload.id, result: results[payload.method] });
+        });
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+
+        const result = await rskTransactionHelper.transferFundsCheckingBalance(senderAddress, TEST_PRIVATE_KEY, recipientAddress, 1000, { gasPrice: 1000 });
+
+        assert.equal(result.hash, TEST_TX_HASH, 'Transaction hash is not as expected');
+        assert.equal(result.nonce, 5, 'Nonce is not as expected');
+
+        const estimateGasPayload = sendStub.getCalls().map(call => call.args[0]).find(payload => payload.method === 'eth_estimateGas');
+        assert.equal(estimateGasPayload.params[0].from, TEST_SENDER_ADDRESS, 'Sender should be lower cased for `web3`');
+        assert.equal(estimateGasPayload.params[0].to, TEST_RECIPIENT_ADDRESS, 'Recipient should be lower cased for `web3`');
+
+    });
+
+    it('should fail to transfer funds when the configured chainId does not match the node one', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 30
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake());
 
         const value = 1000000000;
 
         await chai.expect(
-            rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, value, expectedGasPrice)
-        ).to.eventually.be.rejectedWith('chainId not provided');
+            rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, value, { gasPrice: 1000 })
+        ).to.eventually.be.rejectedWith(ConfigurationError, `Configured chainId 30 does not match the chainId 31 of the node at ${PROVIDER_URL}`);
+
+        assert.isTrue(web3Client.eth.sendSignedTransaction.notCalled, 'sendSignedTransaction was called');
 
     });
 
@@ -332,6 +399,9 @@ describe('RskTransactionHelper tests', () => {
         });
 
         const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
 
         sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.rejects('Error getting transaction count'));
 
@@ -340,7 +410,7 @@ describe('RskTransactionHelper tests', () => {
 
         const transferFundsPromise = rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, value, expectedGasPrice);
 
-        await chai.expect(transferFundsPromise).to.eventually.be.rejectedWith('Error getting transaction count');
+        await chai.expect(transferFundsPromise).to.eventually.be.rejectedWith(RskTransactionHelperError, 'Error signing and sending transaction');
 
     });
 
@@ -352,6 +422,9 @@ describe('RskTransactionHelper tests', () => {
         });
 
         const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
 
         const expectedBalance = '999999999999999999997958000000';
         const expectedGasPrice = '1000';
@@ -361,6 +434,7 @@ describe('RskTransactionHelper tests', () => {
         sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake.returns(emitter));
         sinon.replace(web3Client.eth, 'getBalance', sinon.fake.returns(expectedBalance));
         sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.returns(expectedGasPrice));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
         sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.returns(5));
 
         const value = 1000000000;
@@ -376,7 +450,7 @@ describe('RskTransactionHelper tests', () => {
 
         const result = await promise;
 
-        assert.equal(result, TEST_TX_HASH, "Transaction hash is not as expected");
+        assert.equal(result.hash, TEST_TX_HASH, "Transaction hash is not as expected");
 
         assert.isTrue(web3Client.eth.sendSignedTransaction.calledWithMatch(TEST_SERIALIZED_TX_HEX), 'sendSignedTransaction was not called with expected data');
 
@@ -390,6 +464,8 @@ describe('RskTransactionHelper tests', () => {
         });
 
         const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
 
         const expectedGasPrice = 1000;
         const expectedGasLimit = TRANSFER_GAS_COST;
@@ -419,32 +495,42 @@ describe('RskTransactionHelper tests', () => {
 
         const result = await promise;
 
-        assert.equal(result, TEST_TX_HASH, "Transaction hash is not as expected");
+        assert.equal(result.hash, TEST_TX_HASH, "Transaction hash is not as expected");
 
         assert.isTrue(web3Client.eth.sendSignedTransaction.calledWithMatch(TEST_SERIALIZED_TX_HEX), 'sendSignedTransaction was not called with expected data');
 
     });
 
-    it('should fail to sign and send transaction if chainId is not provided', async () => {
+    it('should sign and send transaction with the chainId of the node if chainId is not provided', async () => {
 
         const rskTransactionHelper = new RskTransactionHelper({
             hostUrl: PROVIDER_URL,
         });
 
-        const expectedGasPrice = 1000;
-        const expectedGasLimit = TRANSFER_GAS_COST;
-   
-        const emitter = new EventEmitter();
+        const web3Client = rskTransactionHelper.getClient();
 
-        const fakeSendSignedTransaction = sinon.fake;
+        const getChainIdFake = sinon.fake.resolves(31);
+        sinon.replace(web3Client.eth, 'getChainId', getChainIdFake);
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(5));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
 
-        fakeSendSignedTransaction.returns(emitter);
+        const signTransactionSpy = sinon.spy(rskTransactionHelper, 'signTransaction');
 
         const value = 1000000000;
 
-        await chai.expect(
-            rskTransactionHelper.signAndSendTransaction(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, expectedGasPrice, expectedGasLimit, TEST_RECIPIENT_ADDRESS, '0x', value)
-        ).to.eventually.be.rejectedWith('chainId not provided');
+        await rskTransactionHelper.signAndSendTransaction(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, '0x', value, { gasPrice: 1000, gasLimit: TRANSFER_GAS_COST });
+        const result = await rskTransactionHelper.signAndSendTransaction(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, '0x', value, { gasPrice: 1000, gasLimit: TRANSFER_GAS_COST });
+
+        assert.equal(result.hash, TEST_TX_HASH, 'Transaction hash is not as expected');
+        assert.equal(getChainIdFake.callCount, 1, 'The node chainId was not cached');
+        assert.equal(await rskTransactionHelper.getChainId(), 31, 'chainId is not as expected');
+
+        assert.equal(signTransactionSpy.lastCall.args[0].chainId, 31, 'Transaction was not signed for the node chainId');
 
     });
 
@@ -482,6 +568,7 @@ describe('RskTransactionHelper tests', () => {
 
         sinon.replace(web3Client.eth, 'getBalance', sinon.fake.returns(expectedBalance));
         sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.returns(expectedGasPrice));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
 
         const estimateGasMockFunction = () => {
             return {
@@ -554,7 +641,10 @@ describe('RskTransactionHelper tests', () => {
 
         await rskTransactionHelper.signAndSendTransactionCheckingBalance(call, TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS);
 
-        const calledWithExpectedParameters = rskTransactionHelper.signAndSendTransaction.calledWith(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, checkBalanceForCallResponseMock.gasPrice, expectedGasLimit, TEST_RECIPIENT_ADDRESS, getStateForDebuggingSelector);
+        const calledWithExpectedParameters = rskTransactionHelper.signAndSendTransaction.calledWith(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, getStateForDebuggingSelector, 0, {
+            gasPrice: checkBalanceForCallResponseMock.gasPrice,
+            gasLimit: expectedGasLimit,
+        });
 
         assert.isTrue(calledWithExpectedParameters, '`signAndSendTransaction` is called with expected parameters');
 
@@ -623,6 +713,7 @@ describe('RskTransactionHelper tests', () => {
         });
 
         const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
 
         sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.rejects('Error getting transaction count'));
 
@@ -630,9 +721,12 @@ describe('RskTransactionHelper tests', () => {
         const expectedGasPrice = 1000;
         const expectedGasLimit = TRANSFER_GAS_COST;
 
-        const signAndSendTransactionPromise = rskTransactionHelper.signAndSendTransaction(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, expectedGasPrice, expectedGasLimit, TEST_RECIPIENT_ADDRESS, '0x', value);
+        const signAndSendTransactionPromise = rskTransactionHelper.signAndSendTransaction(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, '0x', value, {
+            gasPrice: expectedGasPrice,
+            gasLimit: expectedGasLimit
+        });
 
-        await chai.expect(signAndSendTransactionPromise).to.eventually.be.rejectedWith(RskTransactionHelperError, 'Error on signAndSendTransaction');
+        await chai.expect(signAndSendTransactionPromise).to.eventually.be.rejectedWith(RskTransactionHelperError, 'Error signing and sending transaction');
 
     });
 
@@ -673,11 +767,14 @@ describe('RskTransactionHelper tests', () => {
 
         const web3Client = rskTransactionHelper.getClient();
 
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+
         const expectedBalance = 1;
         const expectedGasPrice = 1000;
 
         sinon.replace(web3Client.eth, 'getBalance', sinon.fake.returns(expectedBalance));
         sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.returns(expectedGasPrice));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
 
         const value = 1000000000;
 
@@ -827,7 +924,7 @@ describe('RskTransactionHelper tests', () => {
         assert.equal(evmIncreaseTimeCall.args[0].method, 'evm_increaseTime', 'First call has to be to `evm_increaseTime`');
         assert.equal(evmMineCall.args[0].method, 'evm_mine', 'Second call has to be to `evm_mine`');
 
-        assert.equal(evmIncreaseTimeCall.args[0].params[0], 60000, 'Increase time param is 6000 milliseconds, which is a minute');
+        assert.equal(evmIncreaseTimeCall.args[0].params[0], 60, 'Increase time param is 60 seconds, which is a minute');
 
         assert.notEqual(evmIncreaseTimeCall.args[0].id, evmMineCall.args[0].id, 'Both calls ids should be different');
 
@@ -836,6 +933,46 @@ describe('RskTransactionHelper tests', () => {
 
     });
 
+    it('should not mine again when the node may have got the `evm_mine` request', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 3,
+            attemptDelay: 10,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const currentProviderSendStub = sinon.stub(web3Client.currentProvider, 'send');
+        currentProviderSendStub.onCall(0).callsArgWith(1, null, increaseTimeResultMock); // evm_increaseTime
+        currentProviderSendStub.onCall(1).callsArgWith(1, new Error('socket hang up'), null); // evm_mine
+        currentProviderSendStub.callsArgWith(1, null, mineResultMock);
+
+        await chai.expect(rskTransactionHelper.mine()).to.eventually.be.rejectedWith('socket hang up');
+
+        sinon.assert.calledTwice(currentProviderSendStub);
+
+    });
+
+    it('should only send a JSON-RPC request once when retries are disabled', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 3,
+            attemptDelay: 10,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const currentProviderSendStub = sinon.stub(web3Client.currentProvider, 'send');
+        currentProviderSendStub.callsArgWith(1, connectionErrorMock, null);
+
+        await chai.expect(rskTransactionHelper.rpc('evm_snapshot', [], { retry: false })).to.eventually.be.rejectedWith(`Couldn't connect to node`);
+
+        sinon.assert.calledOnce(currentProviderSendStub);
+
+    });
+
     it(`should return the block and be called with the 'latest' param if none specified`, async () => {
 
         const rskTransactionHelper = new RskTransactionHelper({
@@ -972,4 +1109,2206 @@ describe('RskTransactionHelper tests', () => {
 
     });
 
+    it('should only retry sending a transaction when the node did not get it', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 2,
+            attemptDelay: 10,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const sendTransactionStub = sinon.stub();
+        sendTransactionStub.onCall(0).rejects(new Error('CONNECTION TIMEOUT: timeout of 1000 ms achived'));
+        sendTransactionStub.onCall(1).rejects(new Error(`CONNECTION ERROR: Couldn't connect to node http://localhost:4444.`));
+        sendTransactionStub.onCall(2).resolves(TEST_TX_HASH);
+        sinon.replace(web3Client.eth, 'sendTransaction', sendTransactionStub);
+
+        const transaction = { from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS, value: 1 };
+
+        await chai.expect(rskTransactionHelper.sendTransaction(transaction)).to.eventually.be.rejectedWith('CONNECTION TIMEOUT');
+        sinon.assert.calledOnce(sendTransactionStub);
+
+        assert.equal(await rskTransactionHelper.sendTransaction(transaction), TEST_TX_HASH, 'Transaction hash is not as expected');
+        sinon.assert.calledThrice(sendTransactionStub);
+
+    });
+
+    it('should wait for the transaction receipt until it reaches the requested confirmations', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const expectedTxReceipt = { status: true, transactionHash: TEST_TX_HASH, blockNumber: 10 };
+
+        const getTransactionReceiptStub = sinon.stub();
+        getTransactionReceiptStub.onCall(0).resolves(null);
+        getTransactionReceiptStub.resolves(expectedTxReceipt);
+
+        const getBlockNumberStub = sinon.stub();
+        getBlockNumberStub.onCall(0).resolves(10);
+        getBlockNumberStub.resolves(11);
+
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', getTransactionReceiptStub);
+        sinon.replace(web3Client.eth, 'getBlockNumber', getBlockNumberStub);
+
+        const txReceipt = await rskTransactionHelper.waitForReceipt(TEST_TX_HASH, { confirmations: 2, pollIntervalMs: 10 });
+
+        assert.equal(txReceipt, expectedTxReceipt, 'tx receipts should be the same');
+
+        sinon.assert.callCount(getTransactionReceiptStub, 3, 'getTransactionReceipt should be polled 3 times');
+
+    });
+
+    it('should fail with a timeout error while waiting for the transaction receipt', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', sinon.fake.resolves(null));
+
+        const waitForReceiptPromise = rskTransactionHelper.waitForReceipt(TEST_TX_HASH, { timeoutMs: 50, pollIntervalMs: 10 });
+
+        await chai.expect(waitForReceiptPromise).to.eventually.be.rejectedWith(TimeoutError, `Transaction ${TEST_TX_HASH} did not reach 1 confirmation(s) within 50 ms`);
+
+    });
+
+    it('should mine blocks while waiting for the transaction receipt when `autoMine` is set', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const expectedTxReceipt = { status: true, transactionHash: TEST_TX_HASH, blockNumber: 10 };
+
+        const getTransactionReceiptStub = sinon.stub();
+        getTransactionReceiptStub.onCall(0).resolves(null);
+        getTransactionReceiptStub.resolves(expectedTxReceipt);
+
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', getTransactionReceiptStub);
+        sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake.resolves(10));
+        sinon.stub(rskTransactionHelper, 'mine').resolves();
+
+        const txReceipt = await rskTransactionHelper.waitForReceipt(TEST_TX_HASH, { autoMine: true });
+
+        assert.equal(txReceipt, expectedTxReceipt, 'tx receipts should be the same');
+
+        assert.isTrue(rskTransactionHelper.mine.calledOnce, '`mine` should be called once');
+
+    });
+
+    it('should fail if the `confirmations` to wait for provided is 0', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        await chai.expect(rskTransactionHelper.waitForReceipt(TEST_TX_HASH, { confirmations: 0 })).to.eventually.be.rejectedWith(Error, 'Invalid `confirmations` provided. Needs to be greater than 0 if provided.');
+
+    });
+
+    it('should transfer funds and wait for the transaction receipt', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const expectedTxReceipt = { status: true, transactionHash: TEST_TX_HASH, blockNumber: 10 };
+        const waitOptions = { confirmations: 3 };
+
+        sinon.stub(rskTransactionHelper, 'transferFunds').resolves({ hash: TEST_TX_HASH });
+        sinon.stub(rskTransactionHelper, 'waitForReceipt').resolves(expectedTxReceipt);
+
+        const txReceipt = await rskTransactionHelper.transferFundsAndWait(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1000, {}, waitOptions);
+
+        assert.equal(txReceipt, expectedTxReceipt, 'tx receipts should be the same');
+
+        assert.isTrue(rskTransactionHelper.waitForReceipt.calledWith(TEST_TX_HASH, waitOptions), '`waitForReceipt` was not called with expected parameters');
+
+    });
+
+    it('should send a transaction and wait for the transaction receipt', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const expectedTxReceipt = { status: true, transactionHash: TEST_TX_HASH, blockNumber: 10 };
+
+        const emitter = new EventEmitter();
+
+        sinon.replace(web3Client.eth, 'sendTransaction', sinon.fake.returns(emitter));
+        sinon.stub(rskTransactionHelper, 'waitForReceipt').resolves(expectedTxReceipt);
+
+        const promise = rskTransactionHelper.sendTransactionAndWait({ from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS });
+
+        // Deferring the call and allowing enough time for `emitter.once('transactionHash')` to be invoked before emitting.
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        emitter.emit('transactionHash', TEST_TX_HASH);
+
+        const txReceipt = await promise;
+
+        assert.equal(txReceipt, expectedTxReceipt, 'tx receipts should be the same');
+
+        assert.isTrue(rskTransactionHelper.waitForReceipt.calledWith(TEST_TX_HASH), '`waitForReceipt` was not called with the transaction hash');
+
+    });
+
+    it('should not send a transaction again when waiting for it and the node may have got it', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 2,
+            attemptDelay: 10,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const sendTransactionStub = sinon.stub().callsFake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('error', new Error('CONNECTION TIMEOUT: timeout of 1000 ms achived')));
+            return emitter;
+        });
+        sinon.replace(web3Client.eth, 'sendTransaction', sendTransactionStub);
+        sinon.stub(rskTransactionHelper, 'waitForReceipt').resolves({});
+
+        const transaction = { from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS, value: 1 };
+
+        await chai.expect(rskTransactionHelper.sendTransactionAndWait(transaction)).to.eventually.be.rejectedWith('CONNECTION TIMEOUT');
+        sinon.assert.calledOnce(sendTransactionStub);
+        sinon.assert.notCalled(rskTransactionHelper.waitForReceipt);
+
+    });
+
+    it('should use sequential nonces when transferring funds concurrently from the same account', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+
+        const sentTxs = [];
+
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(5));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(signedTx => {
+            sentTxs.push(signedTx);
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+
+        const value = 1000000000;
+
+        await Promise.all([
+            rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, value, { gasPrice: 1000 }),
+            rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, value, { gasPrice: 1000 }),
+        ]);
+
+        const nonces = sentTxs.map(signedTx => web3Client.utils.hexToNumber('0x' + new Tx(signedTx).nonce.toString('hex'))).sort();
+
+        assert.deepEqual(nonces, [5, 6], 'Nonces should be sequential');
+
+    });
+
+    it('should resync the nonce from the node after a failed broadcast', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+
+        const emitter = new EventEmitter();
+
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(5));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake.returns(emitter));
+
+        const value = 1000000000;
+
+        const promise = rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, value, { gasPrice: 1000 });
+
+        // Deferring the call and allowing enough time for `emitter.once('error')` to be invoked before emitting.
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        emitter.emit('error', nonConnectionErrorMock);
+
+        await chai.expect(promise).to.eventually.be.rejectedWith(nonConnectionErrorMock);
+
+        assert.equal(await rskTransactionHelper.nonceManager.next(TEST_SENDER_ADDRESS), 5, 'Nonce should be taken from the node again');
+
+    });
+
+    it('should transfer funds using a signer', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+
+        const signer = {
+            address: TEST_SENDER_ADDRESS,
+            signTransaction: sinon.fake.resolves(`0x${TEST_SERIALIZED_TX_HEX}`),
+        };
+
+        const emitter = new EventEmitter();
+
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake.returns(emitter));
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.returns(5));
+
+        const promise = rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, signer, TEST_RECIPIENT_ADDRESS, 1000000000, { gasPrice: 1000 });
+
+        // Deferring the call and allowing enough time for `emitter.once('transactionHash')` to be invoked before emitting.
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        emitter.emit('transactionHash', TEST_TX_HASH);
+
+        const result = await promise;
+
+        assert.equal(result.hash, TEST_TX_HASH, 'Transaction hash is not as expected');
+
+        assert.equal(signer.signTransaction.firstArg.nonce, 5, 'Signer was not called with the expected nonce');
+
+        assert.isTrue(web3Client.eth.sendSignedTransaction.calledWith(`0x${TEST_SERIALIZED_TX_HEX}`), 'sendSignedTransaction was not called with the signer output');
+
+    });
+
+    it('should fail to transfer funds when the signer address does not match the sender address', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        sinon.replace(rskTransactionHelper.getClient().eth, 'getChainId', sinon.fake.resolves(31));
+
+        const transferFundsPromise = rskTransactionHelper.transferFunds(TEST_RECIPIENT_ADDRESS, TEST_PRIVATE_KEY, TEST_SENDER_ADDRESS, 1000000000, { gasPrice: 1000 });
+
+        await chai.expect(transferFundsPromise).to.eventually.be.rejectedWith(`Signer address ${TEST_SENDER_ADDRESS} does not match sender address ${TEST_RECIPIENT_ADDRESS}`);
+
+    });
+
+    it('should fail to transfer funds to an address with an invalid checksum for the chain id', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        sinon.replace(rskTransactionHelper.getClient().eth, 'getChainId', sinon.fake.resolves(31));
+
+        // EIP-55 (Ethereum) checksum
+        const destinationAddress = '0xCFC833Ca1Ebb1D4Fe19230585a601d0B392eEEd7';
+
+        const transferFundsPromise = rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, destinationAddress, 1000000000, { gasPrice: 1000 });
+
+        await chai.expect(transferFundsPromise).to.eventually.be.rejectedWith(`Invalid address ${destinationAddress} for chainId 31`);
+
+    });
+
+    it('should transfer funds to an address with an invalid checksum when the validation is disabled', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31,
+            validateChecksums: false,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+
+        const destinationAddress = '0xCFC833Ca1Ebb1D4Fe19230585a601d0B392eEEd7';
+
+        const emitter = new EventEmitter();
+
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake.returns(emitter));
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.returns(5));
+
+        const promise = rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, destinationAddress, 1000000000, { gasPrice: 1000 });
+
+        // Deferring the call and allowing enough time for `emitter.once('transactionHash')` to be invoked before emitting.
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        emitter.emit('transactionHash', TEST_TX_HASH);
+
+        assert.equal((await promise).hash, TEST_TX_HASH, 'Transaction hash is not as expected');
+
+        assert.isTrue(web3Client.eth.sendSignedTransaction.calledWithMatch(TEST_SERIALIZED_TX_HEX), 'sendSignedTransaction was not called with expected data');
+
+    });
+
+    it('should transfer funds checking balance using the provided gas options', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+
+        const expectedGasLimit = 30000;
+
+        sinon.replace(web3Client.eth, 'getBalance', sinon.fake.returns('999999999999999999997958000000'));
+        sinon.stub(rskTransactionHelper, 'buildSignAndBroadcast').resolves({ hash: TEST_TX_HASH });
+
+        const result = await rskTransactionHelper.transferFundsCheckingBalance(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1000000000, { gasPrice: 1000, gasLimit: expectedGasLimit });
+
+        assert.equal(result.hash, TEST_TX_HASH, 'Transaction hash is not as expected');
+
+        const gasOptions = rskTransactionHelper.buildSignAndBroadcast.firstCall.args[3];
+
+        assert.equal(gasOptions.gasPrice.toString(), '1000', 'Gas price is not as expected');
+        assert.equal(gasOptions.gasLimit.toString(), expectedGasLimit.toString(), 'Gas limit is not as expected');
+
+    });
+
+    it('should build an unsigned transaction without querying the node', () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const unsignedTx = rskTransactionHelper.buildTransaction({
+            nonce: 5,
+            gasPrice: 1000,
+            gasLimit: TRANSFER_GAS_COST,
+            chainId: 31,
+            to: TEST_RECIPIENT_ADDRESS,
+            value: 1000000000,
+        });
+
+        const tx = new Tx(unsignedTx);
+
+        assert.equal(tx.nonce.toString('hex'), '05', 'Nonce is not as expected');
+        assert.equal(`0x${tx.to.toString('hex')}`, TEST_RECIPIENT_ADDRESS, 'To address is not as expected');
+        assert.equal(tx.v.toString('hex'), '1f', 'v should be the chain id');
+        assert.equal(tx.r.length, 0, 'Transaction should not be signed');
+
+    });
+
+    it('should sign a transaction without querying the node', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.rejects(new Error('No RPC should be done')));
+        sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.rejects(new Error('No RPC should be done')));
+
+        const signedTx = await rskTransactionHelper.signTransaction({
+            nonce: 5,
+            gasPrice: 1000,
+            gasLimit: TRANSFER_GAS_COST,
+            chainId: 31,
+            to: TEST_RECIPIENT_ADDRESS,
+            value: 1000000000,
+        }, TEST_PRIVATE_KEY);
+
+        assert.equal(signedTx, `0x${TEST_SERIALIZED_TX_HEX}`, 'Signed transaction is not as expected');
+
+    });
+
+    it('should fail to sign a transaction offline when the nonce is not provided', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const signTransactionPromise = rskTransactionHelper.signTransaction({
+            gasPrice: 1000,
+            gasLimit: TRANSFER_GAS_COST,
+            to: TEST_RECIPIENT_ADDRESS,
+        }, TEST_PRIVATE_KEY);
+
+        await chai.expect(signTransactionPromise).to.eventually.be.rejectedWith('nonce not provided');
+
+    });
+
+    it('should fail to sign a transaction offline when the signer does not match the `from` address', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31
+        });
+
+        const signTransactionPromise = rskTransactionHelper.signTransaction({
+            from: TEST_RECIPIENT_ADDRESS,
+            nonce: 5,
+            gasPrice: 1000,
+            gasLimit: TRANSFER_GAS_COST,
+            to: TEST_RECIPIENT_ADDRESS,
+        }, TEST_PRIVATE_KEY);
+
+        await chai.expect(signTransactionPromise).to.eventually.be.rejectedWith(`Signer address ${TEST_SENDER_ADDRESS} does not match sender address ${TEST_RECIPIENT_ADDRESS}`);
+
+    });
+
+    it('should broadcast a raw transaction retrying on connection errors', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 2,
+            attemptDelay: 10,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const sendSignedTransactionStub = sinon.stub();
+        sendSignedTransactionStub.onCall(0).callsFake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('error', connectionErrorMock));
+            return emitter;
+        });
+        sendSignedTransactionStub.onCall(1).callsFake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        });
+
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sendSignedTransactionStub);
+        sinon.replace(web3Client.eth, 'getTransaction', sinon.fake.resolves(null));
+
+        const txHash = await rskTransactionHelper.broadcastRawTransaction(`0x${TEST_SERIALIZED_TX_HEX}`);
+
+        assert.equal(txHash, TEST_TX_HASH, 'Transaction hash is not as expected');
+
+        sinon.assert.alwaysCalledWith(sendSignedTransactionStub, `0x${TEST_SERIALIZED_TX_HEX}`);
+        sinon.assert.calledTwice(sendSignedTransactionStub);
+
+    });
+
+    it('should take a snapshot and revert to it', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const snapshotId = '0x1';
+
+        const currentProviderSendStub = sinon.stub(web3Client.currentProvider, 'send');
+
+        currentProviderSendStub.onCall(0).callsArgWith(1, null, { jsonrpc: '2.0', id: 1, result: snapshotId });
+        currentProviderSendStub.onCall(1).callsArgWith(1, null, { jsonrpc: '2.0', id: 2, result: true });
+
+        const actualSnapshotId = await rskTransactionHelper.snapshot();
+        await rskTransactionHelper.revert(actualSnapshotId);
+
+        assert.equal(actualSnapshotId, snapshotId, 'Snapshot id is not as expected');
+
+        assert.equal(currentProviderSendStub.getCall(0).args[0].method, 'evm_snapshot', 'First call has to be to `evm_snapshot`');
+        assert.equal(currentProviderSendStub.getCall(1).args[0].method, 'evm_revert', 'Second call has to be to `evm_revert`');
+        assert.deepEqual(currentProviderSendStub.getCall(1).args[0].params, [snapshotId], '`evm_revert` should be called with the snapshot id');
+
+    });
+
+    it('should fail if the node could not revert to the snapshot', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.stub(web3Client.currentProvider, 'send').callsArgWith(1, null, { jsonrpc: '2.0', id: 1, result: false });
+
+        await chai.expect(rskTransactionHelper.revert('0x5')).to.eventually.be.rejectedWith('Failed to revert to snapshot 0x5');
+
+    });
+
+    it('should run the function on a snapshot and revert it even if it fails', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const snapshotId = '0x2';
+
+        sinon.stub(rskTransactionHelper, 'snapshot').resolves(snapshotId);
+        sinon.stub(rskTransactionHelper, 'revert').resolves();
+
+        const context = { name: 'mocha context' };
+
+        const result = await rskTransactionHelper.withSnapshot(async function(arg) {
+            return `${this.name} ${arg}`;
+        }).call(context, 'argument');
+
+        assert.equal(result, 'mocha context argument', 'Function should be called with the forwarded context and arguments');
+
+        const failingTest = rskTransactionHelper.withSnapshot(async () => {
+            throw new Error('Test failed');
+        });
+
+        await chai.expect(failingTest()).to.eventually.be.rejectedWith('Test failed');
+
+        sinon.assert.calledTwice(rskTransactionHelper.revert);
+        assert.isTrue(rskTransactionHelper.revert.alwaysCalledWith(snapshotId), '`revert` should be called with the snapshot id');
+
+    });
+
+    it('should mine until the block number is reached', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake.resolves(10));
+        sinon.stub(rskTransactionHelper, 'mine').resolves();
+
+        await rskTransactionHelper.mineUntil(13);
+        await rskTransactionHelper.mineUntil(10);
+
+        sinon.assert.calledOnceWithExactly(rskTransactionHelper.mine, 3);
+
+    });
+
+    it('should increase time and set the next block timestamp', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const currentProviderSendStub = sinon.stub(web3Client.currentProvider, 'send').callsArgWith(1, null, { jsonrpc: '2.0', id: 1, result: '0x0' });
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ number: 10, timestamp: 1699990000 }));
+
+        await rskTransactionHelper.increaseTime(3600);
+        await rskTransactionHelper.setNextBlockTimestamp(1700000000);
+
+        assert.equal(currentProviderSendStub.getCall(0).args[0].method, 'evm_increaseTime', 'First call has to be to `evm_increaseTime`');
+        assert.deepEqual(currentProviderSendStub.getCall(0).args[0].params, [3600], 'Increase time params are not as expected');
+        assert.equal(currentProviderSendStub.getCall(1).args[0].method, 'evm_increaseTime', 'Setting the next block timestamp has to call `evm_increaseTime`');
+        assert.deepEqual(currentProviderSendStub.getCall(1).args[0].params, [10000], 'Time should be increased by the difference from the latest block timestamp');
+        assert.isTrue(web3Client.eth.getBlock.calledWith('latest'), 'Should get the latest block');
+
+        await chai.expect(rskTransactionHelper.increaseTime(-1)).to.eventually.be.rejectedWith('Invalid `seconds` provided. Needs to be greater than or equal to 0.');
+        await chai.expect(rskTransactionHelper.setNextBlockTimestamp(1699990000)).to.eventually.be.rejectedWith(InvalidArgumentError, 'Invalid `timestamp` provided. Needs to be after the latest block timestamp 1699990000.');
+
+        sinon.assert.calledTwice(currentProviderSendStub);
+
+    });
+
+    it('should call a JSON-RPC method and return its result', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const currentProviderSendStub = sinon.stub(web3Client.currentProvider, 'send');
+
+        currentProviderSendStub.onCall(0).callsArgWith(1, null, { jsonrpc: '2.0', id: 1, result: '0x1f' });
+        currentProviderSendStub.onCall(1).callsArgWith(1, null, { jsonrpc: '2.0', id: 2, result: 'RskJ/5.0.0' });
+
+        const chainId = await rskTransactionHelper.rpc('eth_chainId');
+        const clientVersion = await rskTransactionHelper.rpc('web3_clientVersion', []);
+
+        assert.equal(chainId, '0x1f', 'Result is not as expected');
+        assert.equal(clientVersion, 'RskJ/5.0.0', 'Result is not as expected');
+
+        const firstRequest = currentProviderSendStub.getCall(0).args[0];
+        const secondRequest = currentProviderSendStub.getCall(1).args[0];
+
+        assert.deepEqual(firstRequest, { jsonrpc: '2.0', method: 'eth_chainId', params: [], id: firstRequest.id }, 'Request is not as expected');
+        assert.isAbove(secondRequest.id, firstRequest.id, 'Request ids should be increasing');
+
+    });
+
+    it('should fail with a RpcError when the node responds with a JSON-RPC error', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const rpcErrorMock = { code: -32601, message: 'The method fed_updateBridge does not exist/is not available', data: '0x' };
+
+        sinon.stub(web3Client.currentProvider, 'send').callsArgWith(1, null, { jsonrpc: '2.0', id: 1, error: rpcErrorMock });
+
+        const error = await rskTransactionHelper.updateBridge().catch(error => error);
+
+        assert.instanceOf(error, RpcError, 'Should be a RpcError');
+        assert.equal(error.message, `fed_updateBridge failed: ${rpcErrorMock.message}`, 'Error message is not as expected');
+        assert.equal(error.code, 'RPC_ERROR', 'Error code is not as expected');
+        assert.equal(error.rpcCode, rpcErrorMock.code, 'JSON-RPC error code is not as expected');
+        assert.equal(error.data, rpcErrorMock.data, 'Error data is not as expected');
+
+    });
+
+    it('should type the errors returned by the node and the connection to it', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 1,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const nodeError = new Error('Returned error: invalid argument 0: hex string has length 3, want 40 for common.Address');
+        nodeError.data = null;
+        sinon.replace(web3Client.eth, 'getBalance', sinon.fake.rejects(nodeError));
+
+        const balanceError = await rskTransactionHelper.getBalance(TEST_SENDER_ADDRESS).catch(error => error);
+
+        assert.instanceOf(balanceError, RpcError, 'Should be a RpcError');
+        assert.equal(balanceError.code, 'RPC_ERROR', 'Error code is not as expected');
+        assert.equal(balanceError.message, nodeError.message, 'Error message is not as expected');
+        assert.equal(balanceError.cause, nodeError, 'Cause is not as expected');
+
+        const socketError = new Error('socket hang up');
+        sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake.rejects(socketError));
+
+        const blockNumberError = await rskTransactionHelper.getBlockNumber().catch(error => error);
+
+        assert.instanceOf(blockNumberError, ConnectionError, 'Should be a ConnectionError');
+        assert.equal(blockNumberError.cause, socketError, 'Cause is not as expected');
+
+    });
+
+    it('should fail with an InvalidArgumentError when the estimated gas does not fit in a block', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(7000000));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ gasLimit: 6800000 }));
+
+        await chai.expect(rskTransactionHelper.estimateGasLimit({ from: TEST_SENDER_ADDRESS, data: '0x1234' }))
+            .to.eventually.be.rejectedWith(InvalidArgumentError, 'Estimated gas 7000000 exceeds the block gas limit 6800000');
+
+    });
+
+    it('should retry a JSON-RPC call on connection errors', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 2,
+            attemptDelay: 10,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const currentProviderSendStub = sinon.stub(web3Client.currentProvider, 'send');
+
+        currentProviderSendStub.onCall(0).callsArgWith(1, connectionErrorMock, null);
+        currentProviderSendStub.onCall(1).callsArgWith(1, null, { jsonrpc: '2.0', id: 2, result: '0x1' });
+
+        assert.equal(await rskTransactionHelper.rpc('evm_snapshot'), '0x1', 'Result is not as expected');
+
+        sinon.assert.calledTwice(currentProviderSendStub);
+
+    });
+
+    it('should fail with a RetryError carrying every attempt error', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 3,
+            retryPolicy: {
+                initialDelayMs: 10,
+                jitter: 0,
+            },
+        });
+
+        const firstError = new Error('ECONNRESET');
+        const secondError = new Error('Invalid JSON RPC response: "502 Bad Gateway"');
+        const thirdError = new Error(`CONNECTION ERROR: Couldn't connect to node http://localhost:4444.`);
+
+        const fn = sinon.stub();
+        fn.onCall(0).rejects(firstError);
+        fn.onCall(1).rejects(secondError);
+        fn.onCall(2).rejects(thirdError);
+
+        const error = await rskTransactionHelper.withRetryOnConnectionError(fn).catch(error => error);
+
+        assert.instanceOf(error, RetryError, 'Should be a RetryError');
+        assert.equal(error.message, 'Failed to execute function after attempting 3 time(s)', 'Error message is not as expected');
+        assert.deepEqual(error.errors, [firstError, secondError, thirdError], 'Attempt errors are not as expected');
+
+    });
+
+    it('should retry following the user supplied `shouldRetry`', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 2,
+            retryPolicy: {
+                initialDelayMs: 10,
+                shouldRetry: error => error.message === 'Custom retryable error',
+            },
+        });
+
+        const fn = sinon.stub();
+        fn.onCall(0).rejects(new Error('Custom retryable error'));
+        fn.onCall(1).resolves('result');
+
+        assert.equal(await rskTransactionHelper.withRetryOnConnectionError(fn), 'result', 'Result is not as expected');
+
+        const connectionError = new Error(connectionErrorMock.message);
+
+        const error = await rskTransactionHelper.withRetryOnConnectionError(sinon.fake.rejects(connectionError)).catch(error => error);
+
+        assert.instanceOf(error, ConnectionError, 'Should be a ConnectionError');
+        assert.equal(error.cause, connectionError, 'Cause is not as expected');
+
+    });
+
+    it('should stop retrying once the max duration is exceeded', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 10,
+            retryPolicy: {
+                initialDelayMs: 40,
+                backoffFactor: 1,
+                jitter: 0,
+                maxDurationMs: 100,
+            },
+        });
+
+        const fn = sinon.fake.rejects(new Error(connectionErrorMock.message));
+
+        await chai.expect(rskTransactionHelper.withRetryOnConnectionError(fn)).to.eventually.be.rejectedWith(RetryError, 'Failed to execute function after attempting 3 time(s)');
+
+        sinon.assert.callCount(fn, 3);
+
+    });
+
+    it('should not broadcast a transaction again if a failed attempt reached the node', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 2,
+            attemptDelay: 10,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const rawTransaction = `0x${TEST_SERIALIZED_TX_HEX}`;
+        const expectedTxHash = web3Client.utils.sha3(rawTransaction);
+
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('error', new Error('CONNECTION TIMEOUT: timeout of 1000 ms achived')));
+            return emitter;
+        }));
+        sinon.replace(web3Client.eth, 'getTransaction', sinon.fake.resolves({ hash: expectedTxHash }));
+
+        const txHash = await rskTransactionHelper.broadcastRawTransaction(rawTransaction);
+
+        assert.equal(txHash, expectedTxHash, 'Transaction hash is not as expected');
+
+        sinon.assert.calledOnce(web3Client.eth.sendSignedTransaction);
+        sinon.assert.calledOnceWithExactly(web3Client.eth.getTransaction, expectedTxHash);
+
+    });
+
+    it('should return the transaction hash when the node already knows the transaction', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const rawTransaction = `0x${TEST_SERIALIZED_TX_HEX}`;
+
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('error', new Error('Returned error: transaction already in pool')));
+            return emitter;
+        }));
+
+        const txHash = await rskTransactionHelper.broadcastRawTransaction(rawTransaction);
+
+        assert.equal(txHash, web3Client.utils.sha3(rawTransaction), 'Transaction hash is not as expected');
+
+    });
+
+    it('should fail with an invalid list of hosts', () => {
+
+        assert.throws(() => new RskTransactionHelper({ hostUrl: [] }), 'Invalid host provided');
+        assert.throws(() => new RskTransactionHelper({ hostUrl: [PROVIDER_URL, 4444] }), 'Invalid host provided');
+
+    });
+
+    it('should fail over to the next endpoint on connection errors', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: [PROVIDER_URL, 'localhost:4445'],
+            healthCheckIntervalMs: 0,
+        });
+
+        const firstClient = rskTransactionHelper.getClient();
+        sinon.replace(firstClient.eth, 'getBlockNumber', sinon.fake.rejects(new Error(connectionErrorMock.message)));
+
+        const secondClient = rskTransactionHelper.endpointPool.endpoints[1].client;
+        sinon.replace(secondClient.eth, 'getBlockNumber', sinon.fake.resolves(100));
+
+        const blockNumber = await rskTransactionHelper.getBlockNumber();
+
+        assert.equal(blockNumber, 100, 'Block number is not as expected');
+        assert.equal(rskTransactionHelper.getClient(), secondClient, 'Client should be the second endpoint one');
+        assert.equal(rskTransactionHelper.getCurrentHostUrl(), 'localhost:4445', 'Current host is not as expected');
+
+    });
+
+    it('should fail with a RetryError once every endpoint failed', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: [PROVIDER_URL, 'localhost:4445'],
+            healthCheckIntervalMs: 0,
+        });
+
+        rskTransactionHelper.endpointPool.endpoints.forEach(endpoint => {
+            sinon.replace(endpoint.client.eth, 'getBlockNumber', sinon.fake.rejects(new Error(connectionErrorMock.message)));
+        });
+
+        await chai.expect(rskTransactionHelper.getBlockNumber()).to.eventually.be.rejectedWith(RetryError, 'Failed to execute function after attempting 2 time(s)');
+
+    });
+
+    it('should broadcast the same signed transaction when failing over', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: [PROVIDER_URL, 'localhost:4445'],
+            chainId: 33,
+            healthCheckIntervalMs: 0,
+        });
+
+        const [firstEndpoint, secondEndpoint] = rskTransactionHelper.endpointPool.endpoints;
+
+        sinon.replace(firstEndpoint.client.eth, 'getChainId', sinon.fake.resolves(33));
+        sinon.replace(firstEndpoint.client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+        sinon.replace(firstEndpoint.client.eth, 'getTransactionCount', sinon.fake.resolves(1));
+        sinon.replace(firstEndpoint.client.eth, 'estimateGas', sinon.fake.resolves(21000));
+        sinon.replace(firstEndpoint.client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('error', new Error(connectionErrorMock.message)));
+            return emitter;
+        }));
+        sinon.replace(secondEndpoint.client.eth, 'getTransaction', sinon.fake.resolves(null));
+        sinon.replace(secondEndpoint.client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+
+        const signSpy = sinon.spy(Tx.prototype, 'sign');
+
+        const result = await rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1, { gasPrice: 1 });
+
+        signSpy.restore();
+
+        assert.equal(result.hash, TEST_TX_HASH, 'Transaction hash is not as expected');
+        sinon.assert.calledOnce(signSpy);
+        sinon.assert.calledOnceWithExactly(firstEndpoint.client.eth.sendSignedTransaction, result.rawTransaction);
+        sinon.assert.calledOnceWithExactly(secondEndpoint.client.eth.sendSignedTransaction, result.rawTransaction);
+
+    });
+
+    it('should check the health of every endpoint', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: [PROVIDER_URL, 'localhost:4445'],
+            preferHighestBlock: true,
+            healthCheckIntervalMs: 0,
+        });
+
+        const [firstEndpoint, secondEndpoint] = rskTransactionHelper.endpointPool.endpoints;
+        sinon.replace(firstEndpoint.client.eth, 'getBlockNumber', sinon.fake.resolves(100));
+        sinon.replace(secondEndpoint.client.eth, 'getBlockNumber', sinon.fake.resolves(101));
+
+        const status = await rskTransactionHelper.checkEndpointsHealth();
+
+        assert.deepEqual(status.map(endpoint => endpoint.blockNumber), [100, 101], 'Block numbers are not as expected');
+        assert.equal(rskTransactionHelper.getClient(), secondEndpoint.client, 'Should use the endpoint with the highest block');
+
+    });
+
+    it('should periodically check the health of the endpoints', () => {
+
+        const clock = sinon.useFakeTimers();
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: [PROVIDER_URL, 'localhost:4445'],
+            healthCheckIntervalMs: 1000,
+        });
+
+        const checkHealthStub = sinon.stub(rskTransactionHelper.endpointPool, 'checkHealth').resolves([]);
+
+        clock.tick(2500);
+        rskTransactionHelper.stopHealthChecks();
+        clock.tick(2000);
+        clock.restore();
+
+        sinon.assert.calledTwice(checkHealthStub);
+
+    });
+
+    it('should accept websocket hosts without prefixing them', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: 'ws://localhost:4445/websocket',
+            reconnect: { auto: false },
+        });
+
+        const provider = rskTransactionHelper.getClient().currentProvider;
+
+        assert.equal(provider.url, 'ws://localhost:4445/websocket', 'Provider url is not as expected');
+
+        await rskTransactionHelper.disconnect();
+
+    });
+
+    it('should poll for new blocks when subscriptions are not supported', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const getBlockNumberStub = sinon.stub();
+        getBlockNumberStub.onCall(0).resolves(10);
+        getBlockNumberStub.resolves(12);
+        sinon.replace(web3Client.eth, 'getBlockNumber', getBlockNumberStub);
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake(async number => ({ number })));
+
+        const blocks = [];
+        await new Promise(resolve => {
+            rskTransactionHelper.onNewBlock((error, block) => {
+                blocks.push(block.number);
+                if(blocks.length === 2) {
+                    resolve();
+                }
+            }, { pollIntervalMs: 10 });
+        });
+
+        await rskTransactionHelper.disconnect();
+
+        assert.deepEqual(blocks, [11, 12], 'Blocks are not as expected');
+        assert.equal(rskTransactionHelper.subscriptions.size, 0, 'Should not be polling anymore');
+
+    });
+
+    it('should report polling errors and keep polling', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const getBlockNumberStub = sinon.stub();
+        getBlockNumberStub.onCall(0).rejects(new Error('Returned error: internal error'));
+        getBlockNumberStub.onCall(1).resolves(10);
+        getBlockNumberStub.resolves(11);
+        sinon.replace(web3Client.eth, 'getBlockNumber', getBlockNumberStub);
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake(async number => ({ number })));
+
+        const errors = [];
+        const block = await new Promise(resolve => {
+            rskTransactionHelper.onNewBlock((error, block) => error ? errors.push(error) : resolve(block), { pollIntervalMs: 10 });
+        });
+
+        await rskTransactionHelper.disconnect();
+
+        assert.equal(block.number, 11, 'Block is not as expected');
+        assert.lengthOf(errors, 1, 'Should have reported the polling error');
+
+    });
+
+    it('should subscribe to new blocks when the provider supports subscriptions', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const web3Subscription = { unsubscribe: sinon.fake.resolves(true) };
+        sinon.replace(web3Client.currentProvider, 'supportsSubscriptions', () => true);
+        sinon.replace(web3Client.eth, 'subscribe', sinon.fake.returns(web3Subscription));
+
+        const callback = sinon.fake();
+        const subscription = rskTransactionHelper.onNewBlock(callback);
+
+        sinon.assert.calledOnceWithExactly(web3Client.eth.subscribe, 'newBlockHeaders', callback);
+
+        await subscription.unsubscribe();
+
+        sinon.assert.calledOnce(web3Subscription.unsubscribe);
+
+    });
+
+    it('should poll for new blocks with several endpoints, following failovers', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: [PROVIDER_URL, 'http://localhost:4445'],
+        });
+
+        const [firstClient, secondClient] = rskTransactionHelper.endpointPool.endpoints.map(endpoint => endpoint.client);
+
+        [firstClient, secondClient].forEach(client => {
+            sinon.replace(client.currentProvider, 'supportsSubscriptions', () => true);
+            sinon.replace(client.eth, 'subscribe', sinon.fake());
+        });
+        sinon.replace(firstClient.eth, 'getBlockNumber', sinon.fake.resolves(10));
+        sinon.replace(secondClient.eth, 'getBlockNumber', sinon.fake.resolves(11));
+        sinon.replace(secondClient.eth, 'getBlock', sinon.fake(async blockNumber => ({ number: blockNumber })));
+
+        const blocks = [];
+        await new Promise(resolve => {
+            rskTransactionHelper.onNewBlock((error, block) => {
+                blocks.push(block);
+                resolve();
+            }, { pollIntervalMs: 10 });
+            setTimeout(() => rskTransactionHelper.endpointPool.failover(), 30);
+        });
+
+        await rskTransactionHelper.disconnect();
+
+        sinon.assert.notCalled(firstClient.eth.subscribe);
+        sinon.assert.notCalled(secondClient.eth.subscribe);
+        assert.deepEqual(blocks, [{ number: 11 }], 'Blocks are not as expected');
+
+    });
+
+    it('should poll a pending transactions filter when subscriptions are not supported', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const sendStub = sinon.stub(web3Client.currentProvider, 'send');
+        sendStub.callsFake((payload, callback) => {
+            const results = {
+                eth_newPendingTransactionFilter: '0x1',
+                eth_getFilterChanges: [TEST_TX_HASH],
+                eth_uninstallFilter: true,
+            };
+            callback(null, { jsonrpc: '2.0', id: payload.id, result: results[payload.method] });
+        });
+
+        const txHash = await new Promise(resolve => {
+            rskTransactionHelper.onPendingTransaction((error, txHash) => resolve(txHash), { pollIntervalMs: 10 });
+        });
+
+        await rskTransactionHelper.disconnect();
+
+        assert.equal(txHash, TEST_TX_HASH, 'Transaction hash is not as expected');
+        assert.deepEqual(sendStub.lastCall.args[0].method, 'eth_uninstallFilter', 'Filter should be uninstalled');
+        assert.deepEqual(sendStub.lastCall.args[0].params, ['0x1'], 'Filter id is not as expected');
+
+    });
+
+    const buildPendingTransaction = (overrides = {}) => Object.assign({
+        hash: TEST_TX_HASH,
+        nonce: 7,
+        blockNumber: null,
+        from: '0x0671fCBF6C14B08A18cB8db6e5345eFAeCB907c4',
+        to: '0xcfC833cA1eBB1d4FE19230585a601D0B392eEed7',
+        value: '100',
+        gas: 50000,
+        gasPrice: '1000',
+        input: '0x1234',
+    }, overrides);
+
+    const stubBroadcast = (web3Client, txHash) => {
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', txHash));
+            return emitter;
+        }));
+    };
+
+    it('should speed up a pending transaction re-signing it with a bumped gas price', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+
+        const replacementTxHash = '0x' + 'ab'.repeat(32);
+        sinon.replace(web3Client.eth, 'getTransaction', sinon.fake.resolves(buildPendingTransaction({ gasPrice: '1001' })));
+        sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.resolves('10'));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+        stubBroadcast(web3Client, replacementTxHash);
+
+        const result = await rskTransactionHelper.speedUp(TEST_TX_HASH, TEST_PRIVATE_KEY);
+
+        assert.equal(result.hash, replacementTxHash, 'Transaction hash is not as expected');
+        assert.equal(result.replacedHash, TEST_TX_HASH, 'Replaced hash is not as expected');
+        assert.equal(result.nonce, 7, 'Nonce should not change');
+        // 1001 * 1.4 = 1401.4, rounded up
+        assert.equal(result.gasPrice.toString(), '1402', 'Gas price is not as expected');
+
+        const tx = new Tx(result.rawTransaction);
+        assert.equal(web3Client.utils.toBN('0x' + tx.nonce.toString('hex')).toString(), '7', 'Signed nonce is not as expected');
+        assert.equal('0x' + tx.to.toString('hex'), TEST_RECIPIENT_ADDRESS, 'Signed destination is not as expected');
+        assert.equal('0x' + tx.data.toString('hex'), '0x1234', 'Signed data is not as expected');
+        assert.equal(web3Client.utils.toBN('0x' + tx.value.toString('hex')).toString(), '100', 'Signed value is not as expected');
+        assert.equal(web3Client.utils.toBN('0x' + tx.gasLimit.toString('hex')).toString(), '50000', 'Signed gas limit is not as expected');
+
+        assert.deepEqual(rskTransactionHelper.getTransactionReplacements(TEST_TX_HASH), [TEST_TX_HASH, replacementTxHash], 'Replacements are not as expected');
+        assert.deepEqual(rskTransactionHelper.getTransactionReplacements(replacementTxHash), [TEST_TX_HASH, replacementTxHash], 'Replacements are not as expected');
+
+    });
+
+    it('should use the network gas price when it is higher than the bumped one', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+
+        sinon.replace(web3Client.eth, 'getTransaction', sinon.fake.resolves(buildPendingTransaction()));
+        sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.resolves('5000'));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+        stubBroadcast(web3Client, '0x' + 'ab'.repeat(32));
+
+        const result = await rskTransactionHelper.speedUp(TEST_TX_HASH, TEST_PRIVATE_KEY, { gasPriceBumpPercent: 50 });
+
+        assert.equal(result.gasPrice.toString(), '5000', 'Gas price is not as expected');
+
+    });
+
+    it('should cancel a pending transaction with a 0 value transfer to the sender', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(31));
+
+        const speedUpTxHash = '0x' + 'ab'.repeat(32);
+        const cancelTxHash = '0x' + 'cd'.repeat(32);
+        const getTransactionStub = sinon.stub();
+        getTransactionStub.withArgs(TEST_TX_HASH).resolves(buildPendingTransaction());
+        getTransactionStub.withArgs(speedUpTxHash).resolves(buildPendingTransaction({ hash: speedUpTxHash, gasPrice: '1400' }));
+        sinon.replace(web3Client.eth, 'getTransaction', getTransactionStub);
+        sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.resolves('10'));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+        const sendSignedTransactionStub = sinon.stub();
+        [speedUpTxHash, cancelTxHash].forEach((txHash, index) => {
+            sendSignedTransactionStub.onCall(index).callsFake(() => {
+                const emitter = new EventEmitter();
+                setImmediate(() => emitter.emit('transactionHash', txHash));
+                return emitter;
+            });
+        });
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sendSignedTransactionStub);
+
+        await rskTransactionHelper.speedUp(TEST_TX_HASH, TEST_PRIVATE_KEY);
+        const result = await rskTransactionHelper.cancel(speedUpTxHash, TEST_PRIVATE_KEY);
+
+        assert.equal(result.hash, cancelTxHash, 'Transaction hash is not as expected');
+        assert.equal(result.gasPrice.toString(), '1960', 'Gas price is not as expected');
+        assert.equal(result.gasLimit.toString(), '21000', 'Gas limit is not as expected');
+
+        const tx = new Tx(result.rawTransaction);
+        assert.equal('0x' + tx.to.toString('hex'), TEST_SENDER_ADDRESS, 'Should be a transfer to the sender');
+        assert.equal(tx.value.toString('hex'), '', 'Should not transfer any value');
+        assert.equal(web3Client.utils.toBN('0x' + tx.nonce.toString('hex')).toString(), '7', 'Signed nonce is not as expected');
+
+        assert.deepEqual(rskTransactionHelper.getTransactionReplacements(TEST_TX_HASH), [TEST_TX_HASH, speedUpTxHash, cancelTxHash], 'Replacements are not as expected');
+
+    });
+
+    it('should fail to replace a transaction that is not pending', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const getTransactionStub = sinon.stub();
+        getTransactionStub.onCall(0).resolves(null);
+        getTransactionStub.onCall(1).resolves(buildPendingTransaction({ blockNumber: 10 }));
+        sinon.replace(web3Client.eth, 'getTransaction', getTransactionStub);
+
+        await chai.expect(rskTransactionHelper.speedUp(TEST_TX_HASH, TEST_PRIVATE_KEY)).to.eventually.be.rejectedWith(`Transaction ${TEST_TX_HASH} not found`);
+        await chai.expect(rskTransactionHelper.cancel(TEST_TX_HASH, TEST_PRIVATE_KEY)).to.eventually.be.rejectedWith(`Transaction ${TEST_TX_HASH} is already mined in block 10`);
+
+    });
+
+    it('should fail to replace a transaction with a different signer', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 31,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getTransaction', sinon.fake.resolves(buildPendingTransaction({ from: TEST_RECIPIENT_ADDRESS })));
+
+        await chai.expect(rskTransactionHelper.speedUp(TEST_TX_HASH, TEST_PRIVATE_KEY)).to.eventually.be.rejectedWith(`Signer address ${TEST_SENDER_ADDRESS} does not match sender address ${TEST_RECIPIENT_ADDRESS}`);
+        await chai.expect(rskTransactionHelper.speedUp(TEST_TX_HASH, TEST_PRIVATE_KEY, { gasPriceBumpPercent: 0 })).to.eventually.be.rejectedWith('Invalid gasPriceBumpPercent provided. Must be greater than 0.');
+
+    });
+
+    it('should send with the configured gas price strategy and report it', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+            gasPriceStrategy: {
+                strategy: 'minimumGasPrice',
+                marginPercent: 10,
+            },
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(1));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x3938700' }));
+        sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.rejects(new Error('Node gas price should not be used')));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+
+        const result = await rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1);
+
+        assert.equal(result.gasPrice.toString(), '66000000', 'Gas price is not as expected');
+        assert.equal(result.gasPriceStrategy, 'minimumGasPrice', 'Gas price strategy is not as expected');
+        sinon.assert.calledOnceWithExactly(web3Client.eth.getBlock, 'latest');
+
+    });
+
+    it('should not send below the block minimum gas price', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '60000000' }));
+        sinon.replace(web3Client.eth, 'getGasPrice', sinon.fake.resolves(0));
+
+        const result = await rskTransactionHelper.resolveGasPrice();
+
+        assert.equal(result.gasPrice.toString(), '60000000', 'Gas price is not as expected');
+        assert.equal(result.strategy, 'node', 'Gas price strategy is not as expected');
+
+    });
+
+    it('should report explicit gas prices as such', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(1));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '60000000' }));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+
+        const result = await rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1, { gasPrice: 65000000 });
+
+        assert.equal(result.gasPriceStrategy, 'explicit', 'Gas price strategy is not as expected');
+        assert.equal(result.gasPrice.toString(), '65000000', 'Gas price is not as expected');
+
+    });
+
+    it('should raise explicit gas prices below the block minimum gas price', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(1));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '60000000' }));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+
+        const result = await rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1, { gasPrice: 1000 });
+
+        assert.equal(result.gasPriceStrategy, 'explicit', 'Gas price strategy is not as expected');
+        assert.equal(result.gasPrice.toString(), '60000000', 'Gas price should be raised to the block minimum');
+
+    });
+
+    it('should fail constructing with an invalid gas price strategy', () => {
+
+        assert.throws(() => new RskTransactionHelper({ hostUrl: PROVIDER_URL, gasPriceStrategy: { strategy: 'cheapest' } }), 'Invalid gas price strategy provided: cheapest');
+
+    });
+
+    it('should estimate the gas limit of a contract call adding the margin', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+            gasEstimationMarginPercent: 20,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(50001));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ gasLimit: 6800000, minimumGasPrice: '0x0' }));
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(1));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+
+        const result = await rskTransactionHelper.signAndSendTransaction(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, '0x1234', 5, { gasPrice: 1 });
+
+        // 50001 * 1.2 = 60001.2, rounded up
+        assert.equal(result.gasLimit.toString(), '60002', 'Gas limit is not as expected');
+        sinon.assert.calledOnceWithExactly(web3Client.eth.estimateGas, { from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS, value: 5, data: '0x1234' });
+
+    });
+
+    it('should use the estimated gas of plain transfers without a margin', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(21000));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.rejects(new Error('No RPC should be done')));
+
+        const gasLimit = await rskTransactionHelper.estimateGasLimit({ from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS, value: 1 });
+
+        assert.equal(gasLimit.toString(), '21000', 'Gas limit is not as expected');
+
+    });
+
+    it('should clamp the estimated gas limit to the block gas limit', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const estimateGasStub = sinon.stub();
+        estimateGasStub.onCall(0).resolves(6500000);
+        estimateGasStub.onCall(1).resolves(6800001);
+        sinon.replace(web3Client.eth, 'estimateGas', estimateGasStub);
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ gasLimit: 6800000 }));
+
+        const gasLimit = await rskTransactionHelper.estimateGasLimit({ from: TEST_SENDER_ADDRESS, data: '0x1234' });
+
+        assert.equal(gasLimit.toString(), '6800000', 'Gas limit should be the block gas limit');
+
+        await chai.expect(rskTransactionHelper.estimateGasLimit({ from: TEST_SENDER_ADDRESS, data: '0x1234' })).to.eventually.be.rejectedWith('Estimated gas 6800001 exceeds the block gas limit 6800000');
+
+    });
+
+    it('should fail with the decoded revert reason before signing when the estimation reverts', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+
+        const abi = web3Client.eth.abi;
+        const revertData = abi.encodeFunctionSignature('Error(string)') + abi.encodeParameters(['string'], ['Not the owner']).substring(2);
+        const estimateGasError = new Error('Returned error: VM execution error: transaction reverted');
+        estimateGasError.data = revertData;
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.rejects(estimateGasError));
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(1));
+        const signSpy = sinon.spy(Tx.prototype, 'sign');
+
+        const error = await rskTransactionHelper.signAndSendTransaction(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, '0x1234', 0).catch(error => error);
+
+        signSpy.restore();
+
+        assert.instanceOf(error, RevertError, 'Should be a RevertError');
+        assert.equal(error.message, 'Gas estimation failed: execution reverted: Not the owner', 'Error message is not as expected');
+        assert.equal(error.reason, 'Not the owner', 'Reason is not as expected');
+        assert.equal(error.data, revertData, 'Data is not as expected');
+        sinon.assert.notCalled(signSpy);
+        sinon.assert.notCalled(web3Client.eth.getTransactionCount);
+
+    });
+
+    it('should wrap the node errors of the gas estimation', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+
+        const estimateGasError = new Error('Returned error: insufficient funds');
+
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.rejects(estimateGasError));
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(1));
+
+        const error = await rskTransactionHelper.signAndSendTransaction(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, '0x1234', 0).catch(error => error);
+
+        assert.instanceOf(error, RskTransactionHelperError, 'Should be a RskTransactionHelperError');
+        assert.equal(error.message, 'Error signing and sending transaction', 'Error message is not as expected');
+        assert.instanceOf(error.cause, RpcError, 'Cause should be a RpcError');
+        assert.equal(error.cause.cause, estimateGasError, 'Node error is not as expected');
+        sinon.assert.notCalled(web3Client.eth.getTransactionCount);
+
+    });
+
+    const encodeRevert = (web3Client, signature, types, values) => {
+        return web3Client.eth.abi.encodeFunctionSignature(signature) + web3Client.eth.abi.encodeParameters(types, values).substring(2);
+    };
+
+    it('should get the revert reason of a failed transaction replaying it at its block', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const tx = { hash: TEST_TX_HASH, blockNumber: 120, from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS, input: '0x1234', value: '0', gas: 50000, gasPrice: '60000000' };
+        const callError = new Error('Returned error: execution reverted: ERC20: transfer amount exceeds balance');
+        callError.data = encodeRevert(web3Client, 'Error(string)', ['string'], ['ERC20: transfer amount exceeds balance']);
+
+        sinon.replace(web3Client.eth, 'getTransaction', sinon.fake.resolves(tx));
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', sinon.fake.resolves({ status: false }));
+        sinon.replace(web3Client.eth, 'call', sinon.fake.rejects(callError));
+
+        const revert = await rskTransactionHelper.getRevertReason(TEST_TX_HASH);
+
+        assert.equal(revert.reason, 'ERC20: transfer amount exceeds balance', 'Reason is not as expected');
+        assert.equal(revert.errorName, 'Error', 'Error name is not as expected');
+        sinon.assert.calledOnceWithExactly(web3Client.eth.call, { from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS, data: '0x1234', value: '0', gas: 50000, gasPrice: '60000000' }, 120);
+
+    });
+
+    it('should decode custom errors of a failed transaction returned as the call result', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const abi = [{ type: 'error', name: 'Unauthorized', inputs: [{ name: 'caller', type: 'address' }] }];
+
+        sinon.replace(web3Client.eth, 'getTransaction', sinon.fake.resolves({ hash: TEST_TX_HASH, blockNumber: 120, from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS, input: '0x1234' }));
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', sinon.fake.resolves({ status: false }));
+        sinon.replace(web3Client.eth, 'call', sinon.fake.resolves(encodeRevert(web3Client, 'Unauthorized(address)', ['address'], [TEST_SENDER_ADDRESS])));
+
+        const revert = await rskTransactionHelper.getRevertReason(TEST_TX_HASH, abi);
+
+        assert.equal(revert.reason, `Unauthorized(${web3Client.utils.toChecksumAddress(TEST_SENDER_ADDRESS)})`, 'Reason is not as expected');
+        assert.equal(revert.errorName, 'Unauthorized', 'Error name is not as expected');
+
+    });
+
+    it('should not get a revert reason for successful or pending transactions', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const getTransactionStub = sinon.stub();
+        getTransactionStub.onCall(0).resolves({ hash: TEST_TX_HASH, blockNumber: 120 });
+        getTransactionStub.onCall(1).resolves({ hash: TEST_TX_HASH, blockNumber: null });
+        getTransactionStub.onCall(2).resolves(null);
+        sinon.replace(web3Client.eth, 'getTransaction', getTransactionStub);
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', sinon.fake.resolves({ status: true }));
+
+        assert.isNull(await rskTransactionHelper.getRevertReason(TEST_TX_HASH), 'Successful transaction should have no revert');
+        await chai.expect(rskTransactionHelper.getRevertReason(TEST_TX_HASH)).to.eventually.be.rejectedWith(`Transaction ${TEST_TX_HASH} is not mined yet`);
+        await chai.expect(rskTransactionHelper.getRevertReason(TEST_TX_HASH)).to.eventually.be.rejectedWith(`Transaction ${TEST_TX_HASH} not found`);
+
+    });
+
+    it('should decode custom errors while checking balance for a contract method call', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const abi = [
+            { type: 'function', name: 'withdraw', inputs: [{ name: 'amount', type: 'uint256' }], outputs: [] },
+            { type: 'error', name: 'InsufficientBalance', inputs: [{ name: 'available', type: 'uint256' }, { name: 'required', type: 'uint256' }] },
+        ];
+        const contract = new web3Client.eth.Contract(abi, TEST_RECIPIENT_ADDRESS);
+        const call = contract.methods.withdraw(250);
+
+        const estimateGasError = new Error('Returned error: execution reverted');
+        estimateGasError.data = encodeRevert(web3Client, 'InsufficientBalance(uint256,uint256)', ['uint256', 'uint256'], [100, 250]);
+        sinon.replace(call, 'estimateGas', sinon.fake.rejects(estimateGasError));
+
+        const error = await rskTransactionHelper.checkBalanceForCall(call, TEST_SENDER_ADDRESS).catch(error => error);
+
+        assert.instanceOf(error, RevertError, 'Should be a RevertError');
+        assert.equal(error.message, 'Gas estimation failed: execution reverted: InsufficientBalance(100, 250)', 'Error message is not as expected');
+        assert.equal(error.errorName, 'InsufficientBalance', 'Error name is not as expected');
+
+    });
+
+    it('should fail with an InsufficientBalanceError carrying the balances', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+
+        sinon.replace(web3Client.eth, 'getBalance', sinon.fake.resolves('20999'));
+
+        const error = await rskTransactionHelper.transferFundsCheckingBalance(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1, { gasPrice: 1, gasLimit: 21000 }).catch(error => error);
+
+        assert.instanceOf(error, InsufficientBalanceError, 'Should be an InsufficientBalanceError');
+        assert.equal(error.code, 'INSUFFICIENT_BALANCE_ERROR', 'Code is not as expected');
+        assert.equal(error.required.toString(), '21001', 'Required balance is not as expected');
+        assert.equal(error.available.toString(), '20999', 'Available balance is not as expected');
+
+    });
+
+    it('should fail with a ConfigurationError when the configuration is invalid', async () => {
+
+        assert.throws(() => new RskTransactionHelper({ hostUrl: 4444 }), ConfigurationError, 'Invalid host provided');
+        assert.throws(() => new RskTransactionHelper({ hostUrl: PROVIDER_URL, maxAttempts: 0 }), ConfigurationError);
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+        sinon.replace(rskTransactionHelper.getClient().eth, 'getChainId', sinon.fake.resolves(31));
+
+        await chai.expect(rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1)).to.eventually.be.rejectedWith(ConfigurationError, 'Configured chainId 33 does not match');
+
+    });
+
+    it('should fail with a NonceError when the node rejects the nonce', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ minimumGasPrice: '0x0' }));
+
+        const nodeError = new Error('Returned error: transaction nonce too low');
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(1));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('error', nodeError));
+            return emitter;
+        }));
+
+        const error = await rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1, { gasPrice: 1, gasLimit: 21000 }).catch(error => error);
+
+        assert.instanceOf(error, NonceError, 'Should be a NonceError');
+        assert.equal(error.message, 'Error signing and sending transaction', 'Message is not as expected');
+        assert.instanceOf(error.cause, RpcError, 'Cause should be a RpcError');
+        assert.equal(error.cause.cause, nodeError, 'Node error is not as expected');
+
+    });
+
+    it('should fail with a ConnectionError when the node can not be reached while sending', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.rejects(new Error(connectionErrorMock.message)));
+
+        const error = await rskTransactionHelper.transferFunds(TEST_SENDER_ADDRESS, TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1, { gasPrice: 1, gasLimit: 21000 }).catch(error => error);
+
+        assert.instanceOf(error, ConnectionError, 'Should be a ConnectionError');
+        assert.equal(error.code, 'CONNECTION_ERROR', 'Code is not as expected');
+
+    });
+
+    it('should fill in the configuration from the network preset', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ network: 'testnet' });
+
+        assert.equal(rskTransactionHelper.rskConfig.chainId, 31, 'chainId is not as expected');
+        assert.equal(rskTransactionHelper.getCurrentHostUrl(), 'https://public-node.testnet.rsk.co', 'Host url is not as expected');
+        assert.equal(rskTransactionHelper.rskConfig.maxAttempts, 3, 'maxAttempts is not as expected');
+        assert.equal(rskTransactionHelper.getExplorerUrl(TEST_TX_HASH), `https://explorer.testnet.rootstock.io/tx/${TEST_TX_HASH}`, 'Explorer url is not as expected');
+
+    });
+
+    it('should override the network preset with the explicit configuration', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            network: 'mainnet',
+            hostUrl: PROVIDER_URL,
+            maxAttempts: 1,
+            explorerUrl: 'https://rootstock.blockscout.com/tx/{txHash}',
+        });
+
+        assert.equal(rskTransactionHelper.rskConfig.chainId, 30, 'chainId is not as expected');
+        assert.equal(rskTransactionHelper.getCurrentHostUrl(), PROVIDER_URL, 'Host url is not as expected');
+        assert.equal(rskTransactionHelper.rskConfig.maxAttempts, 1, 'maxAttempts is not as expected');
+        assert.equal(rskTransactionHelper.getExplorerUrl(TEST_TX_HASH), `https://rootstock.blockscout.com/tx/${TEST_TX_HASH}`, 'Explorer url is not as expected');
+
+        assert.throws(() => new RskTransactionHelper({ network: 'devnet' }), ConfigurationError, 'Unknown network provided: devnet');
+
+    });
+
+    it('should derive mnemonic signers with the derivation path of the network preset', async () => {
+
+        const mnemonic = 'test test test test test test test test test test test junk';
+
+        const mainnetHelper = new RskTransactionHelper({ network: 'mainnet', hostUrl: PROVIDER_URL });
+        const customHelper = new RskTransactionHelper({ network: 'mainnet', hostUrl: PROVIDER_URL, derivationPath: `m/44'/60'/0'/0/0` });
+
+        assert.equal(mainnetHelper.createMnemonicSigner(mnemonic).derivationPath, `m/44'/137'/0'/0/0`, 'Preset derivation path is not as expected');
+        assert.equal(mainnetHelper.createMnemonicSigner(mnemonic, { index: 2 }).derivationPath, `m/44'/137'/0'/0/2`, 'Indexed derivation path is not as expected');
+        assert.equal(customHelper.createMnemonicSigner(mnemonic).address, '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266', 'Address with the configured derivation path is not as expected');
+
+    });
+
+    it('should wait for the confirmations of the network preset by default', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            network: 'testnet',
+            hostUrl: PROVIDER_URL,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', sinon.fake.resolves({ status: true, transactionHash: TEST_TX_HASH, blockNumber: 10 }));
+        sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake.resolves(12));
+
+        const waitForReceiptPromise = rskTransactionHelper.waitForReceipt(TEST_TX_HASH, { timeoutMs: 50, pollIntervalMs: 10 });
+
+        await chai.expect(waitForReceiptPromise).to.eventually.be.rejectedWith(TimeoutError, `Transaction ${TEST_TX_HASH} did not reach 6 confirmation(s) within 50 ms`);
+
+    });
+
+    it('should allow the time to mine the confirmations of the network preset by default', async () => {
+
+        const clock = sinon.useFakeTimers();
+
+        try {
+            const rskTransactionHelper = new RskTransactionHelper({
+                network: 'mainnet',
+                hostUrl: PROVIDER_URL,
+            });
+
+            const web3Client = rskTransactionHelper.getClient();
+
+            sinon.replace(web3Client.eth, 'getTransactionReceipt', sinon.fake.resolves({ status: true, transactionHash: TEST_TX_HASH, blockNumber: 10 }));
+            // A block every 30 seconds, the 12th confirmation after 5.5 minutes
+            sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake(async () => 10 + Math.floor(Date.now() / 30000)));
+
+            const waitForReceiptPromise = rskTransactionHelper.waitForReceipt(TEST_TX_HASH);
+
+            await clock.tickAsync(6 * 60 * 1000);
+
+            assert.equal((await waitForReceiptPromise).transactionHash, TEST_TX_HASH, 'Should get the receipt within the default timeout');
+
+            const testnetHelper = new RskTransactionHelper({
+                network: 'testnet',
+                hostUrl: PROVIDER_URL,
+            });
+
+            const testnetClient = testnetHelper.getClient();
+
+            sinon.replace(testnetClient.eth, 'getTransactionReceipt', sinon.fake.resolves({ status: true, transactionHash: TEST_TX_HASH, blockNumber: 10 }));
+            sinon.replace(testnetClient.eth, 'getBlockNumber', sinon.fake.resolves(10));
+
+            const timedOutPromise = chai.expect(testnetHelper.waitForReceipt(TEST_TX_HASH)).to.eventually.be.rejectedWith(TimeoutError, `Transaction ${TEST_TX_HASH} did not reach 6 confirmation(s) within 360000 ms`);
+
+            await clock.tickAsync(6 * 60 * 1000 + 1000);
+
+            await timedOutPromise;
+        } finally {
+            clock.restore();
+        }
+
+    });
+
+    it('should refuse to run regtest only methods against a non regtest network', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            network: 'mainnet',
+            hostUrl: PROVIDER_URL,
+        });
+
+        const sendStub = sinon.stub(rskTransactionHelper.getClient().currentProvider, 'send');
+
+        await chai.expect(rskTransactionHelper.mine()).to.eventually.be.rejectedWith(ConfigurationError, 'mine is only available on regtest, the helper is configured for mainnet');
+        await chai.expect(rskTransactionHelper.newAccountWithSeed('seed')).to.eventually.be.rejectedWith(ConfigurationError, 'newAccountWithSeed is only available on regtest');
+        await chai.expect(rskTransactionHelper.updateBridge()).to.eventually.be.rejectedWith(ConfigurationError, 'updateBridge is only available on regtest');
+        await chai.expect(rskTransactionHelper.snapshot()).to.eventually.be.rejectedWith(ConfigurationError, 'snapshot is only available on regtest');
+
+        assert.isTrue(sendStub.notCalled, 'No request should be sent to the node');
+
+    });
+
+    it('should run regtest only methods against the regtest network', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ network: 'regtest' });
+
+        const sendStub = sinon.stub(rskTransactionHelper.getClient().currentProvider, 'send');
+        sendStub.callsFake((payload, callback) => callback(null, { jsonrpc: '2.0', id: payload.id, result: null }));
+
+        await rskTransactionHelper.updateBridge();
+
+        assert.equal(sendStub.firstCall.args[0].method, 'fed_updateBridge', 'fed_updateBridge was not called');
+
+    });
+
+    const TEST_CONTRACT_ADDRESS = '0x73ec81da0c72dd112e06c09a6ec03b5544d26f05';
+    const TEST_CONTRACT_BYTECODE = '0x6080604052348015600f57600080fd5b50';
+    const TEST_CONTRACT_ABI = [
+        { type: 'constructor', inputs: [{ name: 'initialValue', type: 'uint256' }] },
+        { type: 'function', name: 'value', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'uint256' }] },
+    ];
+
+    const stubContractDeployment = (web3Client, receipt) => {
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(0));
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(100000));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ gasLimit: 6800000, minimumGasPrice: '0x0' }));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', sinon.fake.resolves(Object.assign({ transactionHash: TEST_TX_HASH, blockNumber: 10 }, receipt)));
+        sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake.resolves(10));
+    };
+
+    it('should deploy a contract and return it bound to the deployed address', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        stubContractDeployment(web3Client, { status: true, contractAddress: TEST_CONTRACT_ADDRESS });
+        sinon.replace(web3Client.eth, 'getCode', sinon.fake.resolves('0x6080'));
+
+        const contract = await rskTransactionHelper.deployContract({
+            abi: TEST_CONTRACT_ABI,
+            bytecode: TEST_CONTRACT_BYTECODE,
+            args: [42],
+            signer: TEST_PRIVATE_KEY,
+            gasOptions: { gasPrice: 1 },
+        });
+
+        assert.equal(contract.options.address.toLowerCase(), TEST_CONTRACT_ADDRESS, 'Contract address is not as expected');
+        assert.isFunction(contract.methods.value, 'Contract methods are not available');
+        sinon.assert.calledOnceWithExactly(web3Client.eth.getCode, TEST_CONTRACT_ADDRESS);
+
+        const signedTx = new Tx(web3Client.eth.sendSignedTransaction.firstCall.args[0]);
+        const expectedData = TEST_CONTRACT_BYTECODE + web3Client.eth.abi.encodeParameters(['uint256'], [42]).substring(2);
+        assert.equal(signedTx.to.length, 0, 'Contract creation should have no `to`');
+        assert.equal('0x' + signedTx.data.toString('hex'), expectedData, 'Constructor arguments were not encoded after the bytecode');
+        sinon.assert.calledOnceWithExactly(web3Client.eth.estimateGas, { from: TEST_SENDER_ADDRESS, to: undefined, value: undefined, data: expectedData });
+
+    });
+
+    it('should fail to deploy a contract when there is no code at the contract address', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        stubContractDeployment(web3Client, { status: true, contractAddress: TEST_CONTRACT_ADDRESS });
+        sinon.replace(web3Client.eth, 'getCode', sinon.fake.resolves('0x'));
+
+        const deployPromise = rskTransactionHelper.deployContract({ abi: TEST_CONTRACT_ABI, bytecode: TEST_CONTRACT_BYTECODE, args: [42], signer: TEST_PRIVATE_KEY, gasOptions: { gasPrice: 1 } });
+
+        await chai.expect(deployPromise).to.eventually.be.rejectedWith(RskTransactionHelperError, `No code found at the address ${TEST_CONTRACT_ADDRESS} of the contract deployed in ${TEST_TX_HASH}`);
+
+    });
+
+    it('should fail to deploy a contract with the revert reason when the deployment reverts', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        stubContractDeployment(web3Client, { status: false, contractAddress: TEST_CONTRACT_ADDRESS });
+
+        const abi = web3Client.eth.abi;
+        const callError = new Error('Returned error: VM execution error: transaction reverted');
+        callError.data = abi.encodeFunctionSignature('Error(string)') + abi.encodeParameters(['string'], ['Invalid initial value']).substring(2);
+        sinon.replace(web3Client.eth, 'getTransaction', sinon.fake.resolves({ from: TEST_SENDER_ADDRESS, to: null, input: TEST_CONTRACT_BYTECODE, value: '0', blockNumber: 10 }));
+        sinon.replace(web3Client.eth, 'call', sinon.fake.rejects(callError));
+
+        const deployPromise = rskTransactionHelper.deployContract({ abi: TEST_CONTRACT_ABI, bytecode: TEST_CONTRACT_BYTECODE, args: [0], signer: TEST_PRIVATE_KEY, gasOptions: { gasPrice: 1 } });
+
+        await chai.expect(deployPromise).to.eventually.be.rejectedWith(RevertError, `Contract deployment ${TEST_TX_HASH} reverted: Invalid initial value`);
+
+    });
+
+    it('should fail to deploy a contract with an invalid bytecode', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        await chai.expect(
+            rskTransactionHelper.deployContract({ abi: TEST_CONTRACT_ABI, bytecode: 'not bytecode', signer: TEST_PRIVATE_KEY })
+        ).to.eventually.be.rejectedWith('Invalid bytecode provided. Expected a hex string.');
+
+    });
+
+    const TEST_VAULT_ABI = [
+        { type: 'function', name: 'deposit', stateMutability: 'payable', inputs: [], outputs: [] },
+        { type: 'function', name: 'balanceOf', stateMutability: 'view', inputs: [{ name: 'account', type: 'address' }], outputs: [{ name: '', type: 'uint256' }] },
+        { type: 'event', name: 'Deposited', anonymous: false, inputs: [{ name: 'account', type: 'address', indexed: true }, { name: 'amount', type: 'uint256', indexed: false }] },
+        { type: 'error', name: 'DepositsPaused', inputs: [] },
+    ];
+
+    const stubContractMethodSend = (web3Client, balance) => {
+        sinon.replace(web3Client.eth, 'getChainId', sinon.fake.resolves(33));
+        sinon.replace(web3Client.eth, 'getTransactionCount', sinon.fake.resolves(3));
+        sinon.replace(web3Client.eth, 'estimateGas', sinon.fake.resolves(50000));
+        sinon.replace(web3Client.eth, 'getBlock', sinon.fake.resolves({ gasLimit: 6800000, minimumGasPrice: '0x0' }));
+        sinon.replace(web3Client.eth, 'getBalance', sinon.fake.resolves(balance));
+        sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(() => {
+            const emitter = new EventEmitter();
+            setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+            return emitter;
+        }));
+    };
+
+    it('should send a payable contract method to the contract address and decode the receipt events', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        stubContractMethodSend(web3Client, '1000000');
+
+        const vault = new web3Client.eth.Contract(TEST_VAULT_ABI, TEST_RECIPIENT_ADDRESS);
+        const abi = web3Client.eth.abi;
+        const depositedLog = {
+            address: TEST_RECIPIENT_ADDRESS,
+            topics: [abi.encodeEventSignature(TEST_VAULT_ABI[2]), abi.encodeParameter('address', TEST_SENDER_ADDRESS)],
+            data: abi.encodeParameter('uint256', 500),
+        };
+        const otherContractLog = Object.assign({}, depositedLog, { address: TEST_SENDER_ADDRESS });
+        sinon.replace(web3Client.eth, 'getTransactionReceipt', sinon.fake.resolves({ status: true, transactionHash: TEST_TX_HASH, blockNumber: 10, logs: [otherContractLog, depositedLog] }));
+        sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake.resolves(10));
+
+        const receipt = await rskTransactionHelper.sendContractMethod(vault.methods.deposit(), TEST_PRIVATE_KEY, { value: 500, gasOptions: { gasPrice: 10 }, waitFor: true });
+
+        const expectedData = abi.encodeFunctionSignature('deposit()');
+        sinon.assert.calledOnceWithMatch(web3Client.eth.estimateGas, { from: TEST_SENDER_ADDRESS, to: TEST_RECIPIENT_ADDRESS, data: expectedData });
+        assert.equal(web3Client.eth.estimateGas.firstCall.args[0].value.toString(), '500', 'Value was not included in the gas estimation');
+
+        const signedTx = new Tx(web3Client.eth.sendSignedTransaction.firstCall.args[0]);
+        assert.equal('0x' + signedTx.to.toString('hex'), TEST_RECIPIENT_ADDRESS, 'Transaction was not sent to the contract');
+        assert.equal(web3Client.utils.toBN('0x' + signedTx.value.toString('hex')).toString(), '500', 'Value was not sent');
+        assert.equal('0x' + signedTx.data.toString('hex'), expectedData, 'Data is not as expected');
+
+        assert.equal(receipt.transactionHash, TEST_TX_HASH, 'Receipt is not as expected');
+        assert.lengthOf(receipt.events, 1, 'Only the contract events should be decoded');
+        assert.equal(receipt.events[0].event, 'Deposited', 'Event name is not as expected');
+        assert.equal(receipt.events[0].returnValues.account.toLowerCase(), TEST_SENDER_ADDRESS, 'Event account is not as expected');
+        assert.equal(receipt.events[0].returnValues.amount, '500', 'Event amount is not as expected');
+
+    });
+
+    it('should fail to send a contract method when the balance does not cover the value and the gas', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        // 50000 * 1.1 * 10 = 550000 of gas, plus the value
+        stubContractMethodSend(web3Client, '550000');
+
+        const vault = new web3Client.eth.Contract(TEST_VAULT_ABI, TEST_RECIPIENT_ADDRESS);
+
+        const sendPromise = rskTransactionHelper.sendContractMethod(vault.methods.deposit(), TEST_PRIVATE_KEY, { value: 1, gasOptions: { gasPrice: 10 } });
+
+        await chai.expect(sendPromise).to.eventually.be.rejectedWith(InsufficientBalanceError, 'Insufficient balance. Required: 550001, current balance: 550000');
+        assert.isTrue(web3Client.eth.sendSignedTransaction.notCalled, 'Transaction should not be sent');
+
+    });
+
+    it('should fail to send a contract method of a contract without address', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL,
+            chainId: 33,
+        });
+
+        const vault = new (rskTransactionHelper.getClient().eth.Contract)(TEST_VAULT_ABI);
+
+        await chai.expect(
+            rskTransactionHelper.sendContractMethod(vault.methods.deposit(), TEST_PRIVATE_KEY)
+        ).to.eventually.be.rejectedWith('The contract of the method call has no address');
+
+    });
+
+    it('should call a contract method at the given block and return its decoded output', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        const vault = new web3Client.eth.Contract(TEST_VAULT_ABI, TEST_RECIPIENT_ADDRESS);
+
+        const sendStub = sinon.stub(web3Client.currentProvider, 'send');
+        sendStub.callsFake((payload, callback) => callback(null, { jsonrpc: '2.0', id: payload.id, result: web3Client.eth.abi.encodeParameter('uint256', 1234) }));
+
+        const balance = await rskTransactionHelper.callContractMethod(vault.methods.balanceOf(TEST_SENDER_ADDRESS), { blockTag: 10 });
+
+        assert.equal(balance, '1234', 'Output is not as expected');
+        const [callObject, blockTag] = sendStub.firstCall.args[0].params;
+        assert.equal(sendStub.firstCall.args[0].method, 'eth_call', 'eth_call was not called');
+        assert.equal(callObject.to.toLowerCase(), TEST_RECIPIENT_ADDRESS, 'Call was not done to the contract');
+        assert.equal(blockTag, '0xa', 'Block tag is not as expected');
+
+    });
+
+    it('should fail with the decoded custom error when a contract method call reverts', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+        const vault = new web3Client.eth.Contract(TEST_VAULT_ABI, TEST_RECIPIENT_ADDRESS);
+        const call = vault.methods.balanceOf(TEST_SENDER_ADDRESS);
+
+        const callError = new Error('Returned error: VM execution error: transaction reverted');
+        callError.data = web3Client.eth.abi.encodeFunctionSignature('DepositsPaused()');
+        sinon.replace(call, 'call', sinon.fake.rejects(callError));
+
+        await chai.expect(rskTransactionHelper.callContractMethod(call)).to.eventually.be.rejectedWith(RevertError, 'Call failed: execution reverted: DepositsPaused()');
+
+    });
+
+    const TEST_TOKEN_ABI = [
+        { type: 'event', name: 'Transfer', anonymous: false, inputs: [{ name: 'from', type: 'address', indexed: true }, { name: 'to', type: 'address', indexed: true }, { name: 'value', type: 'uint256', indexed: false }] },
+        { type: 'event', name: 'Approval', anonymous: false, inputs: [{ name: 'owner', type: 'address', indexed: true }, { name: 'spender', type: 'address', indexed: true }, { name: 'value', type: 'uint256', indexed: false }] },
+    ];
+
+    const buildTransferLog = (web3Client, blockNumber, logIndex, value) => ({
+        address: TEST_RECIPIENT_ADDRESS,
+        blockNumber,
+        logIndex,
+        topics: [
+            web3Client.eth.abi.encodeEventSignature(TEST_TOKEN_ABI[0]),
+            web3Client.eth.abi.encodeParameter('address', TEST_SENDER_ADDRESS),
+            web3Client.eth.abi.encodeParameter('address', TEST_RECIPIENT_ADDRESS),
+        ],
+        data: web3Client.eth.abi.encodeParameter('uint256', value),
+    });
+
+    it('should get the decoded events of a wide block range in chunks, sorted', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const getPastLogsStub = sinon.stub();
+        getPastLogsStub.onCall(0).resolves([buildTransferLog(web3Client, 900, 2, 3), buildTransferLog(web3Client, 900, 0, 2)]);
+        getPastLogsStub.onCall(1).resolves([]);
+        getPastLogsStub.onCall(2).resolves([buildTransferLog(web3Client, 2400, 0, 4)]);
+        sinon.replace(web3Client.eth, 'getPastLogs', getPastLogsStub);
+        sinon.replace(web3Client.eth, 'getBlockNumber', sinon.fake.resolves(2500));
+
+        const events = await rskTransactionHelper.getEvents({
+            address: '0xCFC833Ca1Ebb1D4Fe19230585a601d0B392eEEd7',
+            abi: TEST_TOKEN_ABI,
+            eventName: 'Transfer',
+            filter: { from: TEST_SENDER_ADDRESS.toUpperCase().replace('0X', '0x') },
+            fromBlock: 1,
+        });
+
+        assert.deepEqual(events.map(event => event.returnValues.value), ['2', '3', '4'], 'Events are not sorted as expected');
+        assert.equal(events[0].event, 'Transfer', 'Event name is not as expected');
+
+        sinon.assert.callCount(getPastLogsStub, 3);
+        const ranges = getPastLogsStub.getCalls().map(call => [call.args[0].fromBlock, call.args[0].toBlock]);
+        assert.deepEqual(ranges, [[1, 1000], [1001, 2000], [2001, 2500]], 'Chunks are not as expected');
+
+        const { address, topics } = getPastLogsStub.firstCall.args[0];
+        assert.equal(address, TEST_RECIPIENT_ADDRESS, 'Address is not as expected');
+        assert.deepEqual(topics, [web3Client.eth.abi.encodeEventSignature(TEST_TOKEN_ABI[0]), web3Client.eth.abi.encodeParameter('address', TEST_SENDER_ADDRESS)], 'Topics are not as expected');
+
+    });
+
+    it('should shrink the chunks when the node refuses to return that many logs', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const getPastLogsStub = sinon.stub();
+        getPastLogsStub.onCall(0).rejects(new Error('Returned error: query returned more than 10000 results'));
+        getPastLogsStub.onCall(1).rejects(new Error('Returned error: query returned more than 10000 results'));
+        getPastLogsStub.resolves([]);
+        sinon.replace(web3Client.eth, 'getPastLogs', getPastLogsStub);
+
+        await rskTransactionHelper.getEvents({ abi: TEST_TOKEN_ABI, fromBlock: 0, toBlock: 999, chunkSize: 1000 });
+
+        const ranges = getPastLogsStub.getCalls().map(call => [call.args[0].fromBlock, call.args[0].toBlock]);
+        assert.deepEqual(ranges, [[0, 999], [0, 499], [0, 249], [250, 499], [500, 749], [750, 999]], 'Chunks are not as expected');
+
+    });
+
+    it('should shrink the chunks right away when the node times out the logs query', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: [PROVIDER_URL, 'http://localhost:4445'],
+            maxAttempts: 3,
+            attemptDelay: 1000,
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        const getPastLogsStub = sinon.stub();
+        getPastLogsStub.onCall(0).rejects(new Error('Returned error: query timeout exceeded'));
+        getPastLogsStub.resolves([]);
+        sinon.replace(web3Client.eth, 'getPastLogs', getPastLogsStub);
+
+        const startTime = Date.now();
+        await rskTransactionHelper.getEvents({ abi: TEST_TOKEN_ABI, fromBlock: 0, toBlock: 999, chunkSize: 1000 });
+
+        const ranges = getPastLogsStub.getCalls().map(call => [call.args[0].fromBlock, call.args[0].toBlock]);
+        assert.deepEqual(ranges, [[0, 999], [0, 499], [500, 999]], 'Chunks are not as expected');
+        assert.equal(rskTransactionHelper.getCurrentHostUrl(), PROVIDER_URL, 'Should not fail over');
+        assert.isBelow(Date.now() - startTime, 1000, 'Should not wait before shrinking the chunk');
+
+    });
+
+    it('should fail getting events when the node fails for another reason', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: PROVIDER_URL
+        });
+
+        const web3Client = rskTransactionHelper.getClient();
+
+        sinon.replace(web3Client.eth, 'getPastLogs', sinon.fake.rejects(new Error('Returned error: invalid params')));
+
+        await chai.expect(rskTransactionHelper.getEvents({ abi: TEST_TOKEN_ABI, fromBlock: 0, toBlock: 10 })).to.eventually.be.rejectedWith('Returned error: invalid params');
+        await chai.expect(rskTransactionHelper.getEvents({ abi: TEST_TOKEN_ABI, eventName: 'Mint' })).to.eventually.be.rejectedWith('Event Mint not found in the abi');
+        await chai.expect(rskTransactionHelper.getEvents({ abi: TEST_TOKEN_ABI, fromBlock: 10, toBlock: 5 })).to.eventually.be.rejectedWith('Invalid block range provided: 10 - 5');
+
+    });
+
 });
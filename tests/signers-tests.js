@@ -0,0 +1,132 @@
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Web3 = require('web3');
+const Tx = require('ethereumjs-tx');
+const { PrivateKeySigner, KeystoreSigner, MnemonicSigner, getDerivationPath, toSigner } = require('../signers');
+const assert = chai.assert;
+
+const TEST_SENDER_ADDRESS = '0x0671fcbf6c14b08a18cb8db6e5345efaecb907c4';
+const TEST_RECIPIENT_ADDRESS = '0xcfc833ca1ebb1d4fe19230585a601d0b392eeed7';
+const TEST_PRIVATE_KEY = 'b7ddc1c73a0f94479ec44c814d57aec904865dfa1e3487ec8c648ee7fb2daf3c';
+const TEST_SERIALIZED_TX_HEX = 'f865058203e882520894cfc833ca1ebb1d4fe19230585a601d0b392eeed7843b9aca00801ba0010d207e7f109c1ebd9b934a3c5dc2c126280050b3c4902a7f2a0b0628e87596a01bbbd3ec2e80dc9000fa5738c3458b3ff58701757c52c24c2994ed2fde547a69';
+const TEST_MNEMONIC = 'test test test test test test test test test test test junk';
+const KEYSTORE_PASSWORD = 'password';
+
+const TEST_RAW_TX = {
+    nonce: 5,
+    gasPrice: 1000,
+    gasLimit: 21000,
+    to: TEST_RECIPIENT_ADDRESS,
+    value: 1000000000,
+    r: 0,
+    s: 0,
+    v: 31
+};
+
+describe('Signers tests', () => {
+
+    it('should derive the address from the private key', () => {
+
+        const signer = new PrivateKeySigner(TEST_PRIVATE_KEY);
+
+        assert.equal(signer.address, TEST_SENDER_ADDRESS, 'Address is not as expected');
+        assert.equal(new PrivateKeySigner(`0x${TEST_PRIVATE_KEY}`).address, TEST_SENDER_ADDRESS, 'Address is not as expected with a 0x prefixed private key');
+
+    });
+
+    it('should sign a transaction with the private key', async () => {
+
+        const signer = new PrivateKeySigner(TEST_PRIVATE_KEY);
+
+        const serializedTx = await signer.signTransaction(TEST_RAW_TX);
+
+        assert.equal(serializedTx, `0x${TEST_SERIALIZED_TX_HEX}`, 'Serialized transaction is not as expected');
+
+    });
+
+    it('should fail if passed an invalid private key', () => {
+
+        assert.throws(() => new PrivateKeySigner(null), 'Invalid private key provided');
+
+    });
+
+    it('should decrypt a keystore and sign with it', async () => {
+
+        const keystore = new Web3().eth.accounts.encrypt(`0x${TEST_PRIVATE_KEY}`, KEYSTORE_PASSWORD);
+
+        const signer = new KeystoreSigner(keystore, KEYSTORE_PASSWORD);
+
+        assert.equal(signer.address, TEST_SENDER_ADDRESS, 'Address is not as expected');
+        assert.equal(await signer.signTransaction(TEST_RAW_TX), `0x${TEST_SERIALIZED_TX_HEX}`, 'Serialized transaction is not as expected');
+
+    });
+
+    it('should read a keystore file', () => {
+
+        const keystore = new Web3().eth.accounts.encrypt(`0x${TEST_PRIVATE_KEY}`, KEYSTORE_PASSWORD);
+        const keystorePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-')), 'keystore.json');
+        fs.writeFileSync(keystorePath, JSON.stringify(keystore));
+
+        const signer = KeystoreSigner.fromFile(keystorePath, KEYSTORE_PASSWORD);
+
+        assert.equal(signer.address, TEST_SENDER_ADDRESS, 'Address is not as expected');
+
+        fs.rmSync(path.dirname(keystorePath), { recursive: true });
+
+    });
+
+    it('should fail to decrypt a keystore with a wrong password', () => {
+
+        const keystore = new Web3().eth.accounts.encrypt(`0x${TEST_PRIVATE_KEY}`, KEYSTORE_PASSWORD);
+
+        assert.throws(() => new KeystoreSigner(keystore, 'wrong password'), 'Key derivation failed - possibly wrong password');
+
+    });
+
+    it('should return the Rootstock derivation paths', () => {
+
+        assert.equal(getDerivationPath(30), `m/44'/137'/0'/0/0`, 'Mainnet derivation path is not as expected');
+        assert.equal(getDerivationPath(31, 2), `m/44'/37310'/0'/0/2`, 'Testnet derivation path is not as expected');
+        assert.equal(getDerivationPath(), `m/44'/37310'/0'/0/0`, 'Default derivation path is not as expected');
+
+    });
+
+    it('should derive the accounts from a mnemonic', () => {
+
+        assert.equal(new MnemonicSigner(TEST_MNEMONIC, { chainId: 31 }).address, '0x0d365f5da75b496158111650c0d5358f9c7d2070', 'Testnet address is not as expected');
+        assert.equal(new MnemonicSigner(TEST_MNEMONIC, { chainId: 30 }).address, '0x018f141adb1f6410d393c51de743f17436eed231', 'Mainnet address is not as expected');
+        assert.equal(new MnemonicSigner(TEST_MNEMONIC, { chainId: 30, index: 1 }).address, '0x10340c72db9828ef218cc1ff18dd080f2a75cb15', 'Mainnet address with index 1 is not as expected');
+        assert.equal(new MnemonicSigner(TEST_MNEMONIC, { derivationPath: `m/44'/60'/0'/0/0` }).address, '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266', 'Address with custom derivation path is not as expected');
+
+    });
+
+    it('should sign a transaction with a mnemonic', async () => {
+
+        const signer = new MnemonicSigner(TEST_MNEMONIC, { chainId: 31 });
+
+        const serializedTx = await signer.signTransaction(TEST_RAW_TX);
+
+        assert.equal(`0x${new Tx(serializedTx).getSenderAddress().toString('hex')}`, signer.address, 'Transaction sender is not as expected');
+
+    });
+
+    it('should fail if passed an invalid mnemonic', () => {
+
+        assert.throws(() => new MnemonicSigner('not a valid mnemonic'), 'Invalid mnemonic provided');
+
+    });
+
+    it('should wrap a private key into a signer', () => {
+
+        const privateKeySigner = toSigner(TEST_PRIVATE_KEY);
+        const customSigner = { address: TEST_SENDER_ADDRESS, signTransaction: async () => '0x' };
+
+        assert.instanceOf(privateKeySigner, PrivateKeySigner, 'Should be a PrivateKeySigner');
+        assert.equal(toSigner(customSigner), customSigner, 'Custom signer should be returned as is');
+        assert.throws(() => toSigner({}), 'Invalid signer provided. Expected a private key or an object with `address` and `signTransaction`.');
+
+    });
+
+});
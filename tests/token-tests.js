@@ -0,0 +1,245 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+const Tx = require('ethereumjs-tx');
+const Web3 = require('web3');
+const RskTransactionHelper = require('../rsk-transaction-helper');
+const Token = require('../token');
+const { ConfigurationError, InsufficientBalanceError } = require('../rsk-transaction-helper-error');
+const chaiAsPromise = require('chai-as-promised');
+chai.use(chaiAsPromise);
+const assert = chai.assert;
+
+// No actual call to this host is being made, but it's needed for the `currentProvider` object to be created.
+const PROVIDER_URL = 'http://localhost:4444';
+
+const TEST_TOKEN_ADDRESS = '0x19f64674d8a5b4e652319f5e239efd3bc969a1fe';
+const TEST_SENDER_ADDRESS = '0x0671fcbf6c14b08a18cb8db6e5345efaecb907c4';
+const TEST_RECIPIENT_ADDRESS = '0xcfc833ca1ebb1d4fe19230585a601d0b392eeed7';
+const TEST_PRIVATE_KEY = 'b7ddc1c73a0f94479ec44c814d57aec904865dfa1e3487ec8c648ee7fb2daf3c';
+const TEST_TX_HASH = '0x49ea2e86436430232d69e3ef21ae08d111a4f23d666f8f3e8735b1ef5bda87b0';
+
+const abiCoder = new Web3().eth.abi;
+
+const decodeSentTx = signedTx => {
+    const tx = new Tx(signedTx);
+    return { to: '0x' + tx.to.toString('hex'), data: '0x' + tx.data.toString('hex') };
+};
+
+/**
+ * Stubs the provider of `web3Client` as a node where the token is deployed. `tokenState` has the `balances` and `allowances`
+ * of the token, and `rbtcBalance` the RBTC balance of every account.
+ */
+const stubTokenNode = (web3Client, tokenState) => {
+    const selectorOf = signature => abiCoder.encodeFunctionSignature(signature);
+    const decodeAddress = (data, index) => abiCoder.decodeParameter('address', '0x' + data.substring(10 + index * 64, 10 + (index + 1) * 64)).toLowerCase();
+    const handleCall = ({ data }) => {
+        const selector = data.substring(0, 10);
+        if(selector === selectorOf('name()')) {
+            return abiCoder.encodeParameter('string', 'testnet RIF');
+        }
+        if(selector === selectorOf('symbol()')) {
+            return abiCoder.encodeParameter('string', 'tRIF');
+        }
+        if(selector === selectorOf('decimals()')) {
+            return abiCoder.encodeParameter('uint8', 18);
+        }
+        if(selector === selectorOf('balanceOf(address)')) {
+            return abiCoder.encodeParameter('uint256', tokenState.balances[decodeAddress(data, 0)] || '0');
+        }
+        if(selector === selectorOf('allowance(address,address)')) {
+            return abiCoder.encodeParameter('uint256', tokenState.allowances[`${decodeAddress(data, 0)}:${decodeAddress(data, 1)}`] || '0');
+        }
+        throw new Error(`Unexpected call ${selector}`);
+    };
+    const results = {
+        eth_chainId: () => '0x1f',
+        eth_call: ([callObject]) => handleCall(callObject),
+        eth_estimateGas: () => '0xc350',
+        eth_getBlockByNumber: () => ({ number: '0xa', hash: TEST_TX_HASH, gasLimit: '0x67c280', minimumGasPrice: '0x0', transactions: [] }),
+        eth_getBalance: () => Web3.utils.toHex(tokenState.rbtcBalance),
+        eth_getTransactionCount: () => '0x1',
+    };
+    const sendStub = sinon.stub(web3Client.currentProvider, 'send').callsFake((payload, callback) => {
+        try {
+            callback(null, { jsonrpc: '2.0', id: payload.id, result: results[payload.method](payload.params) });
+        } catch (error) {
+            callback(error);
+        }
+    });
+    const sentTxs = [];
+    sinon.replace(web3Client.eth, 'sendSignedTransaction', sinon.fake(signedTx => {
+        sentTxs.push(signedTx);
+        const emitter = new EventEmitter();
+        setImmediate(() => emitter.emit('transactionHash', TEST_TX_HASH));
+        return emitter;
+    }));
+    return { sendStub, sentTxs };
+};
+
+describe('Token tests', () => {
+
+    it('should parse and format amounts with the given decimals', () => {
+
+        assert.equal(Token.parseUnits('1.5', 18).toString(), '1500000000000000000', 'Parsed amount is not as expected');
+        assert.equal(Token.parseUnits('42', 0).toString(), '42', 'Parsed amount is not as expected without decimals');
+        assert.equal(Token.parseUnits('0.000001', 6).toString(), '1', 'Parsed amount is not as expected');
+        assert.equal(Token.parseUnits('1.10', 1).toString(), '11', 'Trailing zeros should be ignored');
+        assert.throws(() => Token.parseUnits('0.0000001', 6), 'Invalid amount provided: 0.0000001. The token has 6 decimals.');
+        assert.throws(() => Token.parseUnits('-1', 18), 'Invalid amount provided: -1');
+        assert.throws(() => Token.parseUnits('1e18', 18), 'Invalid amount provided: 1e18');
+
+        assert.equal(Token.formatUnits('1500000000000000000', 18), '1.5', 'Formatted amount is not as expected');
+        assert.equal(Token.formatUnits(1, 6), '0.000001', 'Formatted amount is not as expected');
+        assert.equal(Token.formatUnits(Web3.utils.toBN('2000000'), 6), '2', 'Formatted amount is not as expected');
+        assert.equal(Token.formatUnits(0, 18), '0', 'Formatted amount is not as expected');
+
+    });
+
+    it('should return the same token client for the same address', () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+
+        const token = rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS);
+
+        assert.instanceOf(token, Token, 'Should be a Token client');
+        assert.equal(rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS.toUpperCase().replace('0X', '0x')), token, 'Token client should be reused');
+        assert.throws(() => rskTransactionHelper.getToken('0x1234'), 'Invalid token address provided: 0x1234');
+
+    });
+
+    it('should get the token metadata only once', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const { sendStub } = stubTokenNode(rskTransactionHelper.getClient(), { balances: {}, allowances: {} });
+
+        const token = rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS);
+
+        assert.deepEqual(await token.getTokenMetadata(), { name: 'testnet RIF', symbol: 'tRIF', decimals: 18 }, 'Metadata is not as expected');
+        assert.equal(await token.formatAmount('2500000000000000000'), '2.5', 'Formatted amount is not as expected');
+        assert.equal((await token.parseAmount('0.25')).toString(), '250000000000000000', 'Parsed amount is not as expected');
+
+        sinon.assert.callCount(sendStub, 3);
+
+    });
+
+    it('should get the token balance and allowance', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        stubTokenNode(rskTransactionHelper.getClient(), {
+            balances: { [TEST_SENDER_ADDRESS]: '1000' },
+            allowances: { [`${TEST_SENDER_ADDRESS}:${TEST_RECIPIENT_ADDRESS}`]: '300' },
+        });
+
+        const token = rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS);
+
+        assert.equal((await token.getTokenBalance(TEST_SENDER_ADDRESS)).toString(), '1000', 'Balance is not as expected');
+        assert.equal((await token.getTokenBalance(TEST_RECIPIENT_ADDRESS)).toString(), '0', 'Balance is not as expected');
+        assert.equal((await token.allowance(TEST_SENDER_ADDRESS, TEST_RECIPIENT_ADDRESS)).toString(), '300', 'Allowance is not as expected');
+
+    });
+
+    it('should transfer tokens after checking the token and RBTC balances', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const { sentTxs } = stubTokenNode(rskTransactionHelper.getClient(), { balances: { [TEST_SENDER_ADDRESS]: '1000' }, allowances: {}, rbtcBalance: 1000000 });
+
+        const token = rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS);
+
+        const result = await token.transferToken(TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1000, { gasOptions: { gasPrice: 1 } });
+
+        assert.equal(result.hash, TEST_TX_HASH, 'Transaction hash is not as expected');
+
+        assert.lengthOf(sentTxs, 1, 'One transaction should be sent');
+        assert.deepEqual(decodeSentTx(sentTxs[0]), {
+            to: TEST_TOKEN_ADDRESS,
+            data: token.getContract().methods.transfer(TEST_RECIPIENT_ADDRESS, 1000).encodeABI(),
+        }, 'Transaction is not as expected');
+
+    });
+
+    it('should fail to transfer tokens when the token balance is not enough', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const { sentTxs } = stubTokenNode(rskTransactionHelper.getClient(), { balances: { [TEST_SENDER_ADDRESS]: '999' }, allowances: {}, rbtcBalance: 1000000 });
+
+        const transferPromise = rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS).transferToken(TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1000, { gasOptions: { gasPrice: 1 } });
+
+        await chai.expect(transferPromise).to.eventually.be.rejectedWith(InsufficientBalanceError, 'Insufficient tRIF balance. Required: 1000, current balance: 999');
+        assert.lengthOf(sentTxs, 0, 'No transaction should be sent');
+
+    });
+
+    it('should fail to transfer tokens when the RBTC balance does not cover the gas', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        // 50000 of estimated gas plus a 10% margin, at a gas price of 1
+        const { sentTxs } = stubTokenNode(rskTransactionHelper.getClient(), { balances: { [TEST_SENDER_ADDRESS]: '1000' }, allowances: {}, rbtcBalance: 54999 });
+
+        const transferPromise = rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS).transferToken(TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 1000, { gasOptions: { gasPrice: 1 } });
+
+        await chai.expect(transferPromise).to.eventually.be.rejectedWith(InsufficientBalanceError, 'Insufficient balance. Required: 55000, current balance: 54999');
+        assert.lengthOf(sentTxs, 0, 'No transaction should be sent');
+
+    });
+
+    it('should approve and transfer tokens on behalf of the owner', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const { sentTxs } = stubTokenNode(rskTransactionHelper.getClient(), {
+            balances: { [TEST_RECIPIENT_ADDRESS]: '500' },
+            allowances: { [`${TEST_RECIPIENT_ADDRESS}:${TEST_SENDER_ADDRESS}`]: '400' },
+            rbtcBalance: 1000000,
+        });
+
+        const token = rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS);
+
+        await token.approve(TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, 250, { gasOptions: { gasPrice: 1 } });
+        await token.transferFrom(TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, TEST_SENDER_ADDRESS, 400, { gasOptions: { gasPrice: 1 } });
+
+        const [approveTx, transferFromTx] = sentTxs.map(decodeSentTx);
+        assert.equal(approveTx.data, token.getContract().methods.approve(TEST_RECIPIENT_ADDRESS, 250).encodeABI(), 'Approve data is not as expected');
+        assert.equal(transferFromTx.data, token.getContract().methods.transferFrom(TEST_RECIPIENT_ADDRESS, TEST_SENDER_ADDRESS, 400).encodeABI(), 'TransferFrom data is not as expected');
+
+        await chai.expect(
+            token.transferFrom(TEST_PRIVATE_KEY, TEST_RECIPIENT_ADDRESS, TEST_SENDER_ADDRESS, 401, { gasOptions: { gasPrice: 1 } })
+        ).to.eventually.be.rejectedWith('Insufficient allowance. Required: 401, current allowance: 400');
+
+    });
+
+    it('should get the RIF token of the network the node is on', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        const getChainIdStub = sinon.stub().resolves(31);
+        sinon.replace(rskTransactionHelper.getClient().eth, 'getChainId', getChainIdStub);
+
+        const rifToken = await rskTransactionHelper.getRifToken();
+
+        assert.equal(rifToken.address, Token.RIF_TOKEN_ADDRESSES[31], 'RIF token address is not as expected');
+
+        const regtestHelper = new RskTransactionHelper({ hostUrl: PROVIDER_URL });
+        sinon.replace(regtestHelper.getClient().eth, 'getChainId', sinon.fake.resolves(33));
+
+        await chai.expect(regtestHelper.getRifToken()).to.eventually.be.rejectedWith(ConfigurationError, 'No RIF token known for chainId 33');
+
+    });
+
+    it('should call the token on the new endpoint after failing over', async () => {
+
+        const rskTransactionHelper = new RskTransactionHelper({
+            hostUrl: [PROVIDER_URL, 'localhost:4445'],
+            healthCheckIntervalMs: 0,
+        });
+
+        const [firstEndpoint, secondEndpoint] = rskTransactionHelper.endpointPool.endpoints;
+        sinon.stub(firstEndpoint.client.currentProvider, 'send').callsArgWith(1, new Error(`CONNECTION ERROR: Couldn't connect to node`));
+        stubTokenNode(secondEndpoint.client, { balances: { [TEST_SENDER_ADDRESS]: '1000' }, allowances: {} });
+
+        const balance = await rskTransactionHelper.getToken(TEST_TOKEN_ADDRESS).getTokenBalance(TEST_SENDER_ADDRESS);
+
+        assert.equal(balance.toString(), '1000', 'Balance is not as expected');
+        assert.equal(rskTransactionHelper.getClient(), secondEndpoint.client, 'Should have failed over to the second endpoint');
+
+    });
+
+});
@@ -0,0 +1,305 @@
+'use strict';
+const Web3 = require('web3');
+const { isValidAddress, toWeb3Address } = require('./address-utils');
+const { toSigner } = require('./signers');
+const { InvalidArgumentError, InsufficientBalanceError } = require('./rsk-transaction-helper-error');
+
+const ERC20_ABI = [
+    {
+        name: 'name',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'string' }],
+    },
+    {
+        name: 'symbol',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'string' }],
+    },
+    {
+        name: 'decimals',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'uint8' }],
+    },
+    {
+        name: 'totalSupply',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'uint256' }],
+    },
+    {
+        name: 'balanceOf',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [{ name: 'account', type: 'address' }],
+        outputs: [{ name: '', type: 'uint256' }],
+    },
+    {
+        name: 'allowance',
+        type: 'function',
+        stateMutability: 'view',
+        inputs: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }],
+        outputs: [{ name: '', type: 'uint256' }],
+    },
+    {
+        name: 'transfer',
+        type: 'function',
+        stateMutability: 'nonpayable',
+        inputs: [{ name: 'to', type: 'address' }, { name: 'value', type: 'uint256' }],
+        outputs: [{ name: '', type: 'bool' }],
+    },
+    {
+        name: 'approve',
+        type: 'function',
+        stateMutability: 'nonpayable',
+        inputs: [{ name: 'spender', type: 'address' }, { name: 'value', type: 'uint256' }],
+        outputs: [{ name: '', type: 'bool' }],
+    },
+    {
+        name: 'transferFrom',
+        type: 'function',
+        stateMutability: 'nonpayable',
+        inputs: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'value', type: 'uint256' }],
+        outputs: [{ name: '', type: 'bool' }],
+    },
+    {
+        name: 'Transfer',
+        type: 'event',
+        anonymous: false,
+        inputs: [
+            { name: 'from', type: 'address', indexed: true },
+            { name: 'to', type: 'address', indexed: true },
+            { name: 'value', type: 'uint256', indexed: false },
+        ],
+    },
+    {
+        name: 'Approval',
+        type: 'event',
+        anonymous: false,
+        inputs: [
+            { name: 'owner', type: 'address', indexed: true },
+            { name: 'spender', type: 'address', indexed: true },
+            { name: 'value', type: 'uint256', indexed: false },
+        ],
+    },
+];
+
+// RIF token address by chain id
+const RIF_TOKEN_ADDRESSES = {
+    30: '0x2acc95758f8b5f583470ba265eb685a8f45fc9d5',
+    31: '0x19f64674d8a5b4e652319f5e239efd3bc969a1fe',
+};
+
+const AMOUNT_REGEX = /^\d+(\.\d+)?$/;
+
+/**
+ * Converts a human readable amount, i.e. `1.5`, to the token base units, i.e. `1500000000000000000` for 18 decimals.
+ * @param {string | number} amount
+ * @param {number} decimals
+ * @returns {BN} The amount in base units
+ */
+const parseUnits = (amount, decimals) => {
+    const amountString = String(amount).trim();
+    if(!AMOUNT_REGEX.test(amountString)) {
+        throw new InvalidArgumentError(`Invalid amount provided: ${amount}`);
+    }
+    const [integerPart, fractionalPart = ''] = amountString.split('.');
+    if(fractionalPart.replace(/0+$/, '').length > decimals) {
+        throw new InvalidArgumentError(`Invalid amount provided: ${amount}. The token has ${decimals} decimals.`);
+    }
+    return Web3.utils.toBN(integerPart + fractionalPart.padEnd(decimals, '0').substring(0, decimals));
+};
+
+/**
+ * Converts an amount in token base units to a human readable one, without trailing zeros.
+ * @param {number | string | BN} amount The amount in base units
+ * @param {number} decimals
+ * @returns {string} The amount, i.e. `1.5` for `1500000000000000000` with 18 decimals
+ */
+const formatUnits = (amount, decimals) => {
+    const digits = Web3.utils.toBN(amount).toString().padStart(decimals + 1, '0');
+    const integerPart = digits.substring(0, digits.length - decimals);
+    const fractionalPart = digits.substring(digits.length - decimals).replace(/0+$/, '');
+    return fractionalPart ? `${integerPart}.${fractionalPart}` : integerPart;
+};
+
+/**
+ * Client for an ERC-20 token, i.e. RIF. Amounts are taken and returned in the token base units, as `BN`.
+ * Use `parseAmount` and `formatAmount` to convert them from and to human readable amounts.
+ */
+class Token {
+
+    /**
+     * @param {RskTransactionHelper} rskTransactionHelper
+     * @param {string} address The token contract address
+     */
+    constructor(rskTransactionHelper, address) {
+        if(!isValidAddress(toWeb3Address(address))) {
+            throw new InvalidArgumentError(`Invalid token address provided: ${address}`);
+        }
+        this.rskTransactionHelper = rskTransactionHelper;
+        this.address = toWeb3Address(address);
+        this.metadata = null;
+    }
+
+    /**
+     * @returns {Contract} A `web3.eth.Contract` for the token, bound to the helper's current client
+     */
+    getContract() {
+        const web3Client = this.rskTransactionHelper.getClient();
+        return new web3Client.eth.Contract(ERC20_ABI, this.address);
+    }
+
+    /**
+     * @returns {Promise<{ name: string, symbol: string, decimals: number }>} The token metadata, only fetched the first time
+     */
+    async getTokenMetadata() {
+        if(!this.metadata) {
+            const [name, symbol, decimals] = await Promise.all([
+                this.call('name'),
+                this.call('symbol'),
+                this.call('decimals'),
+            ]);
+            this.metadata = { name, symbol, decimals: Number(decimals) };
+        }
+        return Object.assign({}, this.metadata);
+    }
+
+    /**
+     * @param {string | number} amount A human readable amount, i.e. `1.5`
+     * @returns {Promise<BN>} The amount in base units, following the token decimals
+     */
+    async parseAmount(amount) {
+        const { decimals } = await this.getTokenMetadata();
+        return parseUnits(amount, decimals);
+    }
+
+    /**
+     * @param {number | string | BN} amount An amount in base units
+     * @returns {Promise<string>} The human readable amount, following the token decimals
+     */
+    async formatAmount(amount) {
+        const { decimals } = await this.getTokenMetadata();
+        return formatUnits(amount, decimals);
+    }
+
+    /**
+     * @param {string} address
+     * @returns {Promise<BN>} The token balance of `address`
+     */
+    async getTokenBalance(address) {
+        const balance = await this.call('balanceOf', this.toAbiAddress(address));
+        return Web3.utils.toBN(balance);
+    }
+
+    /**
+     * @param {string} owner
+     * @param {string} spender
+     * @returns {Promise<BN>} The amount `spender` is allowed to transfer on behalf of `owner`
+     */
+    async allowance(owner, spender) {
+        const allowance = await this.call('allowance', this.toAbiAddress(owner), this.toAbiAddress(spender));
+        return Web3.utils.toBN(allowance);
+    }
+
+    /**
+     * Transfers `amount` tokens from the signer to `to`, after checking the signer has the tokens and the RBTC for the gas.
+     * @param {string | Signer} signer The sender private key, or a `Signer` for it
+     * @param {string} to
+     * @param {number | string | BN} amount The amount in base units
+     * @param {{ gasOptions?: { gasPrice?: number, gasLimit?: number }, waitFor?: boolean | Object }} options See `sendContractMethod`
+     * @returns {Promise<SendTransactionResult | TransactionReceipt>} See `sendContractMethod`
+     * @throws {InsufficientBalanceError} If the signer doesn't have enough tokens, or RBTC for the gas
+     */
+    async transferToken(signer, to, amount, options = {}) {
+        const sender = toSigner(signer);
+        const amountBn = Web3.utils.toBN(amount);
+        await this.checkTokenBalance(sender.address, amountBn);
+        return await this.send(sender, options, 'transfer', await this.toCheckedAbiAddress(to), amountBn);
+    }
+
+    /**
+     * Allows `spender` to transfer up to `amount` tokens on behalf of the signer.
+     * @param {string | Signer} signer The owner private key, or a `Signer` for it
+     * @param {string} spender
+     * @param {number | string | BN} amount The amount in base units
+     * @param {{ gasOptions?: { gasPrice?: number, gasLimit?: number }, waitFor?: boolean | Object }} options See `sendContractMethod`
+     * @returns {Promise<SendTransactionResult | TransactionReceipt>} See `sendContractMethod`
+     */
+    async approve(signer, spender, amount, options = {}) {
+        return await this.send(signer, options, 'approve', await this.toCheckedAbiAddress(spender), Web3.utils.toBN(amount));
+    }
+
+    /**
+     * Transfers `amount` tokens from `from` to `to` on behalf of `from`, after checking `from` has the tokens and has
+     * allowed the signer to transfer them, and the signer has the RBTC for the gas.
+     * @param {string | Signer} signer The spender private key, or a `Signer` for it
+     * @param {string} from
+     * @param {string} to
+     * @param {number | string | BN} amount The amount in base units
+     * @param {{ gasOptions?: { gasPrice?: number, gasLimit?: number }, waitFor?: boolean | Object }} options See `sendContractMethod`
+     * @returns {Promise<SendTransactionResult | TransactionReceipt>} See `sendContractMethod`
+     * @throws {InsufficientBalanceError} If `from` doesn't have enough tokens, or the signer RBTC for the gas
+     */
+    async transferFrom(signer, from, to, amount, options = {}) {
+        const spender = toSigner(signer);
+        const amountBn = Web3.utils.toBN(amount);
+        await this.checkTokenBalance(from, amountBn);
+        const allowance = await this.allowance(from, spender.address);
+        if(allowance.lt(amountBn)) {
+            throw new InvalidArgumentError(`Insufficient allowance. Required: ${amountBn.toString()}, current allowance: ${allowance.toString()}`);
+        }
+        return await this.send(spender, options, 'transferFrom', await this.toCheckedAbiAddress(from), await this.toCheckedAbiAddress(to), amountBn);
+    }
+
+    async call(methodName, ...args) {
+        // Built on every attempt, so retries after a failover use the client of the new endpoint
+        return await this.rskTransactionHelper.callContractMethod(() => this.getContract().methods[methodName](...args));
+    }
+
+    async send(signer, options, methodName, ...args) {
+        // The method is only encoded, the transaction is estimated and sent with the helper's current client
+        return await this.rskTransactionHelper.sendContractMethod(this.getContract().methods[methodName](...args), signer, options);
+    }
+
+    async checkTokenBalance(address, amount) {
+        const balance = await this.getTokenBalance(address);
+        if(balance.lt(amount)) {
+            const { symbol } = await this.getTokenMetadata();
+            throw new InsufficientBalanceError(amount, balance, symbol);
+        }
+    }
+
+    toAbiAddress(address) {
+        if(!isValidAddress(toWeb3Address(address))) {
+            throw new InvalidArgumentError(`Invalid address provided: ${address}`);
+        }
+        return toWeb3Address(address);
+    }
+
+    /**
+     * Same as `toAbiAddress`, also validating the checksum for the chain the transaction is sent to, as sends do for `to`.
+     */
+    async toCheckedAbiAddress(address) {
+        if(this.rskTransactionHelper.rskConfig.validateChecksums) {
+            const chainId = await this.rskTransactionHelper.getChainId();
+            if(!isValidAddress(address, chainId)) {
+                throw new InvalidArgumentError(`Invalid address ${address} for chainId ${chainId}`);
+            }
+        }
+        return this.toAbiAddress(address);
+    }
+
+}
+
+module.exports = Token;
+module.exports.ERC20_ABI = ERC20_ABI;
+module.exports.RIF_TOKEN_ADDRESSES = RIF_TOKEN_ADDRESSES;
+module.exports.parseUnits = parseUnits;
+module.exports.formatUnits = formatUnits;